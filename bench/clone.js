@@ -0,0 +1,141 @@
+'use strict';
+
+// Compares clone() with the implementation it replaced, and with the
+// alternatives that were considered (JSON and structuredClone()), on a
+// few typical payloads. Run with `node bench/clone.js`.
+
+var clone = require('../lib/index.js').clone;
+
+// clone() as it was before it got the Object.prototype fast path
+// and the Object.keys() walk
+var funcToString = Function.prototype.toString;
+var objectCtorString = funcToString.call(Object);
+
+function legacyIsPlainObject(value) {
+  var proto = Object.getPrototypeOf(value);
+  if (proto === null) {
+    return true;
+  }
+  var Ctor = proto.constructor;
+  return (typeof Ctor == 'function' &&
+    Ctor instanceof Ctor && funcToString.call(Ctor) == objectCtorString);
+}
+
+function legacyClone(object) {
+  var newObject;
+  var i;
+  var len;
+
+  if (!object || typeof object !== 'object') {
+    return object;
+  }
+
+  if (Array.isArray(object)) {
+    newObject = [];
+    for (i = 0, len = object.length; i < len; i++) {
+      newObject[i] = legacyClone(object[i]);
+    }
+    return newObject;
+  }
+
+  if (object instanceof Date && isFinite(object)) {
+    return object.toISOString();
+  }
+
+  if (Buffer.isBuffer(object)) {
+    return Buffer.from(object);
+  }
+
+  if (!legacyIsPlainObject(object)) {
+    return object;
+  }
+
+  newObject = {};
+  for (i in object) {
+    if (Object.prototype.hasOwnProperty.call(object, i)) {
+      var value = legacyClone(object[i]);
+      if (typeof value !== 'undefined') {
+        newObject[i] = value;
+      }
+    }
+  }
+  return newObject;
+}
+
+function makeDoc(i) {
+  return {
+    _id: 'doc' + i,
+    n: i,
+    text: 'x'.repeat(50),
+    tags: ['a', 'b', 'c'],
+    nested: {a: 1, b: {c: [1, 2, 3], d: 'hello'}},
+    items: Array.from({length: 20}, function (_, j) {
+      return {j: j, v: 'v' + j};
+    })
+  };
+}
+
+function makeDeep(depth) {
+  var root = {};
+  var node = root;
+  for (var i = 0; i < depth; i++) {
+    node.child = {level: i, values: [i, i + 1]};
+    node = node.child;
+  }
+  return root;
+}
+
+var bulkDocs = [];
+for (var i = 0; i < 2000; i++) {
+  bulkDocs.push(makeDoc(i));
+}
+
+// what toPromise() gets to clone for each call
+var payloads = {
+  'get(id, opts)': ['doc1', {revs: true, conflicts: true}],
+  'put(doc)': [makeDoc(1)],
+  'bulkDocs(2000 docs)': [{docs: bulkDocs}, {}],
+  'put(deep doc)': [makeDeep(80)]
+};
+
+var candidates = {
+  legacy: legacyClone,
+  clone: clone,
+  json: function (value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+};
+if (typeof structuredClone === 'function') {
+  candidates.structuredClone = structuredClone;
+}
+
+function time(fn, payload) {
+  var iterations = 1;
+  var elapsed;
+  // grow the number of iterations until a run takes long enough to measure
+  do {
+    var start = process.hrtime();
+    for (var j = 0; j < iterations; j++) {
+      fn(payload);
+    }
+    var diff = process.hrtime(start);
+    elapsed = diff[0] * 1e3 + diff[1] / 1e6;
+    iterations *= 2;
+  } while (elapsed < 200);
+  return elapsed / (iterations / 2);
+}
+
+Object.keys(payloads).forEach(function (name) {
+  var payload = payloads[name];
+  var results = {};
+  Object.keys(candidates).forEach(function (candidate) {
+    time(candidates[candidate], payload); // warm up
+    results[candidate] = time(candidates[candidate], payload);
+  });
+  console.log(name);
+  Object.keys(results).forEach(function (candidate) {
+    var ms = results[candidate];
+    console.log('  ' + candidate + ': ' + ms.toFixed(4) + ' ms/op (' +
+      (results.legacy / ms).toFixed(2) + 'x legacy)');
+  });
+});
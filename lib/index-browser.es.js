@@ -1,7 +1,7 @@
 import EventEmitter from "events";
 import immediate from "immediate";
 import { Map } from "pouchdb-collections";
-import { BAD_REQUEST, createError, INVALID_ID, MISSING_ID, RESERVED_ID } from "pouchdb-errors";
+import { BAD_ARG, BAD_REQUEST, createError, DOC_VALIDATION, INVALID_ID, INVALID_REV, MISSING_DOC, MISSING_ID, NOT_AN_OBJECT, RESERVED_ID, REV_CONFLICT } from "pouchdb-errors";
 import { stringMd5 } from "pouchdb-md5";
 import { assign } from "pouchdb-utils";
 import { v4 } from "uuid";
@@ -50,25 +50,245 @@ function isPlainObject(value) {
   if (proto === null) { // not sure when this happens, but I guess it can
     return true;
   }
+  // fast path for the common case, objects from other realms
+  // still go through the check below
+  if (proto === Object.prototype) {
+    return true;
+  }
   let Ctor = proto.constructor;
   return (typeof Ctor == "function" &&
     Ctor instanceof Ctor && funcToString.call(Ctor) == objectCtorString);
 }
 
-function clone(object) {
+// How clone() treats values that have no JSON equivalent. Each of these
+// can be 'reference' (return them as they are), 'copy' (deep-copy them),
+// 'json' (turn them into JSON-safe values) or 'reject' (throw).
+let CLONE_DEFAULTS = {
+  // 'throw' or 'preserve', in which case the copy has the same cycles
+  cycles: "throw",
+  // with 'json', a Map becomes an object and a Set an array
+  map: "reference",
+  set: "reference",
+  // and typed arrays or DataViews become arrays of numbers
+  typedArray: "reference",
+  // RegExps and BigInts become strings
+  regexp: "reference",
+  bigint: "reference",
+  // anything else that isn't a plain object, using its toJSON() if any
+  instance: "reference",
+};
+
+function cloneError(reason) {
+  return createError(BAD_REQUEST, reason);
+}
+
+function findKey(parent, child) {
+  let found = "?"; // e.g. inside a Set
+  if (typeTag(parent) === "Map") {
+    parent.forEach(function (value, key) {
+      if (value === child) {
+        found = String(key);
+      }
+    });
+    return found;
+  }
+  let keys = Object.keys(parent);
+  for (let i = 0, len = keys.length; i < len; i++) {
+    if (parent[keys[i]] === child) {
+      return keys[i];
+    }
+  }
+  return found;
+}
+
+function cycleError(parents, object) {
+  let chain = parents.concat([object]);
+  let path = [];
+  for (let i = 1; i < chain.length; i++) {
+    path.push(findKey(chain[i - 1], chain[i]));
+  }
+  return cloneError(`Cannot clone a cyclic structure, the value at ${
+    path.join(".")  } refers back to one of its parents`);
+}
+
+function typeTag(object) {
+  return Object.prototype.toString.call(object).slice(8, -1);
+}
+
+function cloneSpecial(kind, object, opts, copy, toJSON) {
+  switch (opts[kind]) {
+  case "copy":
+    return copy();
+  case "json":
+    return toJSON();
+  case "reject":
+    throw cloneError(`Cannot clone ${  typeTag(object)
+    } values (${  kind  }: 'reject')`);
+  default:
+    return object;
+  }
+}
+
+// Cycles are rare, so we only keep track of the objects we are inside of
+// (and their copies) when we need to preserve cycles, or once we are
+// suspiciously deep into the structure, at which point we start over.
+let MAX_UNTRACKED_DEPTH = 100;
+let TOO_DEEP = {};
+
+function enterObject(state, object, newObject) {
+  if (!state.parents) {
+    if (++state.depth > MAX_UNTRACKED_DEPTH) {
+      throw TOO_DEEP;
+    }
+    return;
+  }
+  state.parents.push(object);
+  state.copies.push(newObject);
+}
+
+function leaveObject(state) {
+  if (!state.parents) {
+    state.depth--;
+    return;
+  }
+  state.parents.pop();
+  state.copies.pop();
+}
+
+function cloneInto(object, newObject, state, fill) {
+  enterObject(state, object, newObject);
+  fill();
+  leaveObject(state);
+  return newObject;
+}
+
+function cloneNonPlain(object, state) {
+  function cloneChild(value) {
+    return cloneValue(value, state);
+  }
+  let tag = typeTag(object);
+
+  if (tag === "Map") {
+    return cloneSpecial("map", object, state.opts, function () {
+      let newObject = new object.constructor();
+      return cloneInto(object, newObject, state, function () {
+        object.forEach(function (value, key) {
+          newObject.set(cloneChild(key), cloneChild(value));
+        });
+      });
+    }, function () {
+      let newObject = {};
+      return cloneInto(object, newObject, state, function () {
+        object.forEach(function (value, key) {
+          value = cloneChild(value);
+          if (typeof value !== "undefined") {
+            newObject[String(key)] = value;
+          }
+        });
+      });
+    });
+  }
+
+  if (tag === "Set") {
+    return cloneSpecial("set", object, state.opts, function () {
+      let newObject = new object.constructor();
+      return cloneInto(object, newObject, state, function () {
+        object.forEach(function (value) {
+          newObject.add(cloneChild(value));
+        });
+      });
+    }, function () {
+      let newObject = [];
+      return cloneInto(object, newObject, state, function () {
+        object.forEach(function (value) {
+          newObject.push(cloneChild(value));
+        });
+      });
+    });
+  }
+
+  if (typeof ArrayBuffer !== "undefined" && ArrayBuffer.isView(object)) {
+    return cloneSpecial("typedArray", object, state.opts, function () {
+      return new object.constructor(object.buffer.slice(object.byteOffset,
+                                                        object.byteOffset + object.byteLength));
+    }, function () {
+      if (tag === "DataView") {
+        object = new Uint8Array(object.buffer, object.byteOffset,
+                                object.byteLength);
+      }
+      // BigInt64Array elements go through the bigint option
+      return cloneChild(Array.prototype.slice.call(object));
+    });
+  }
+
+  if (tag === "RegExp") {
+    return cloneSpecial("regexp", object, state.opts, function () {
+      return new RegExp(object.source, object.flags);
+    }, function () {
+      return String(object);
+    });
+  }
+
+  return cloneSpecial("instance", object, state.opts, function () {
+    let newObject = Object.create(Object.getPrototypeOf(object));
+    return cloneInto(object, newObject, state, function () {
+      cloneProperties(object, newObject, state);
+    });
+  }, function () {
+    if (typeof object.toJSON === "function") {
+      return cloneChild(object.toJSON());
+    }
+    let newObject = {};
+    return cloneInto(object, newObject, state, function () {
+      cloneProperties(object, newObject, state);
+    });
+  });
+}
+
+// Object.keys() is considerably faster than for..in + hasOwnProperty()
+// on the large payloads we get from bulkDocs()
+function cloneProperties(object, newObject, state) {
+  let keys = Object.keys(object);
+  for (let i = 0, len = keys.length; i < len; i++) {
+    let value = cloneValue(object[keys[i]], state);
+    if (typeof value !== "undefined") {
+      newObject[keys[i]] = value;
+    }
+  }
+}
+
+function cloneValue(object, state) {
   let newObject;
   let i;
   let len;
 
+  if (typeof object === "bigint") {
+    return cloneSpecial("bigint", object, state.opts, function () {
+      return object;
+    }, function () {
+      return String(object);
+    });
+  }
+
   if (!object || typeof object !== "object") {
     return object;
   }
 
+  let idx = state.parents ? state.parents.indexOf(object) : -1;
+  if (idx !== -1) {
+    if (state.opts.cycles === "preserve") {
+      return state.copies[idx];
+    }
+    throw cycleError(state.parents, object);
+  }
+
   if (Array.isArray(object)) {
     newObject = [];
+    enterObject(state, object, newObject);
     for (i = 0, len = object.length; i < len; i++) {
-      newObject[i] = clone(object[i]);
+      newObject[i] = cloneValue(object[i], state);
     }
+    leaveObject(state);
     return newObject;
   }
 
@@ -83,20 +303,38 @@ function clone(object) {
   }
 
   if (!isPlainObject(object)) {
-    return object; // don't clone objects like Workers
+    // by default, don't clone objects like Workers
+    return cloneNonPlain(object, state);
   }
 
   newObject = {};
-  for (i in object) {
-    /* istanbul ignore else */
-    if (Object.prototype.hasOwnProperty.call(object, i)) {
-      let value = clone(object[i]);
-      if (typeof value !== "undefined") {
-        newObject[i] = value;
-      }
+  enterObject(state, object, newObject);
+  cloneProperties(object, newObject, state);
+  leaveObject(state);
+  return newObject;
+}
+
+function cloneState(opts, tracked) {
+  return {
+    opts: opts,
+    depth: 0,
+    parents: tracked ? [] : null,
+    copies: tracked ? [] : null,
+  };
+}
+
+// opts are described in CLONE_DEFAULTS
+function clone(object, opts) {
+  opts = opts ? assign$2({}, CLONE_DEFAULTS, opts) : CLONE_DEFAULTS;
+  let tracked = opts.cycles === "preserve";
+  try {
+    return cloneValue(object, cloneState(opts, tracked));
+  } catch (err) {
+    if (err !== TOO_DEEP) {
+      throw err;
     }
+    return cloneValue(object, cloneState(opts, true));
   }
-  return newObject;
 }
 
 function once(fun) {
@@ -113,17 +351,59 @@ function once(fun) {
   };
 }
 
-function toPromise(func) {
+// the clone() options for the arguments of toPromise() functions,
+// see setCloneOptions()
+let argsCloneOpts = null;
+
+// Sets the options (see CLONE_DEFAULTS) clone() uses for the defensive
+// copy of the arguments to toPromise() functions, such as all of the
+// adapter's methods, e.g. {map: 'copy'} to store a copy of any Map
+// rather than the caller's own. Pass null to go back to the defaults.
+function setCloneOptions(opts) {
+  argsCloneOpts = opts || null;
+}
+
+// The clone() options for a call's arguments. Callers can pass them as
+// {clone: {...}} in the options, i.e. the last argument before the
+// callback, and those who promise not to touch their arguments until the
+// call is done can skip the defensive copy by passing {clone: false},
+// in which case this returns false. A first argument only counts as
+// options when we know the method's name and it isn't one that takes a
+// doc, which could have a clone field itself.
+function getCloneOpts(args, name) {
+  let i = args.length - 1;
+  if (typeof args[i] === "function") {
+    i--;
+  }
+  let opts = args[i];
+  if ((i === 0 && (!name || takesDocFirst(name))) ||
+      !opts || typeof opts !== "object") {
+    return argsCloneOpts;
+  }
+  if (opts.clone === false) {
+    return false;
+  }
+  if (opts.clone && typeof opts.clone === "object") {
+    return assign$2({}, argsCloneOpts, opts.clone);
+  }
+  return argsCloneOpts;
+}
+
+// name is the name of the method, if known, see getCloneOpts()
+function toPromise(func, name) {
   //create the function we will be returning
   return async function (...args) {
-    // Clone arguments
-    args = clone(args);
     let self = this;
     // if the last argument is a function, assume its a callback
     let usedCB = (typeof args[args.length - 1] === "function") ? args.pop() : false;
     let promise = new Promise(function (fulfill, reject) {
       let resp;
       try {
+        // Clone arguments, in here so that clone() errors reject
+        let cloneOpts = getCloneOpts(args, name);
+        if (cloneOpts !== false) {
+          args = clone(args, cloneOpts);
+        }
         let callback = once(function (err, mesg) {
           if (err) {
             reject(err);
@@ -159,7 +439,7 @@ function logApiCall(self, name, args) {
     for (let i = 0; i < args.length - 1; i++) {
       logArgs.push(args[i]);
     }
-    self.constructor.emit("debug", logArgs);
+    self.constructor.emit("debug", redactForLog(logArgs));
 
     // override the callback itself to log the response
     let origCallback = args[args.length - 1];
@@ -168,12 +448,302 @@ function logApiCall(self, name, args) {
       responseArgs = responseArgs.concat(
         err ? ["error", err] : ["success", res]
       );
-      self.constructor.emit("debug", responseArgs);
+      self.constructor.emit("debug", redactForLog(responseArgs));
       origCallback(err, res);
     };
   }
 }
 
+// an OpenTelemetry-style tracer, see setTracer()
+let tracer = null;
+
+// OpenTelemetry's SpanStatusCode.OK and SpanStatusCode.ERROR
+let SPAN_STATUS_OK = 1;
+let SPAN_STATUS_ERROR = 2;
+
+// Spans for every adapterFun call are reported to the given tracer,
+// which needs an OpenTelemetry-like startSpan(name, {startTime, attributes})
+// returning spans with setStatus(), end() and optionally recordException().
+// Pass null to stop tracing.
+function setTracer(newTracer) {
+  tracer = newTracer || null;
+}
+
+// docs can be huge, so only describe their shape
+function summarizeArg(arg) {
+  if (Array.isArray(arg)) {
+    return `Array(${  arg.length  })`;
+  }
+  if (arg && typeof arg === "object") {
+    let keys = Object.keys(arg);
+    return `{${  keys.slice(0, 10).join(", ")  }${keys.length > 10 ? ", ..." : ""  }}`;
+  }
+  return String(arg).slice(0, 100);
+}
+
+function traceApiCall(self, name, args) {
+  let emitSpans = self.constructor.listeners("span").length;
+  /* istanbul ignore if */
+  if (!tracer && !emitSpans) {
+    return;
+  }
+  let argSummary = [];
+  for (let i = 0; i < args.length - 1; i++) {
+    argSummary.push(summarizeArg(args[i]));
+  }
+  argSummary = redactForLog(argSummary);
+  // self.name is the URL for remote dbs, credentials and all
+  let dbName = redactForLog(self.name);
+  let startTime = Date.now();
+  let span = tracer && tracer.startSpan(`pouchdb.${  name}`, {
+    startTime: startTime,
+    attributes: {
+      "db.system": "pouchdb",
+      "db.name": dbName,
+      "db.operation": name,
+      "pouchdb.args": argSummary,
+    },
+  });
+
+  // override the callback itself to end the span
+  let origCallback = args[args.length - 1];
+  args[args.length - 1] = function (err, res) {
+    let endTime = Date.now();
+    let loggedErr = err && redactForLog(err);
+    if (span) {
+      if (err) {
+        if (typeof span.recordException === "function") {
+          span.recordException(loggedErr);
+        }
+        span.setStatus({code: SPAN_STATUS_ERROR, message: loggedErr.message});
+      } else {
+        span.setStatus({code: SPAN_STATUS_OK});
+      }
+      span.end(endTime);
+    }
+    if (emitSpans) {
+      self.constructor.emit("span", {
+        name: name,
+        db: dbName,
+        args: argSummary,
+        startTime: startTime,
+        endTime: endTime,
+        duration: endTime - startTime,
+        outcome: err ? "error" : "success",
+        error: err ? {
+          status: err.status,
+          name: err.name,
+          message: loggedErr.message,
+        } : null,
+      });
+    }
+    origCallback(err, res);
+  };
+}
+
+// pouchdb-errors has no templates for these, so we provide our own in
+// the same shape; createError() accepts any such object
+let ABORT_ERROR = {
+  status: 499,
+  name: "AbortError",
+  message: "The operation was aborted",
+  error: true,
+};
+
+let TIMEOUT_ERROR = {
+  status: 408,
+  name: "TimeoutError",
+  message: "The operation timed out",
+  error: true,
+};
+
+// methods that take a document first, which we mustn't mistake for options
+let DOC_FIRST_METHODS = ["put", "post", "remove", "bulkDocs"];
+
+function takesDocFirst(name) {
+  return DOC_FIRST_METHODS.indexOf(name) !== -1;
+}
+
+// the options object, if there is one, comes right before the callback
+function getCallOpts(name, args) {
+  let opts = args[args.length - 2];
+  if (!opts || typeof opts !== "object" ||
+      (opts === args[0] && takesDocFirst(name))) {
+    return {};
+  }
+  return opts;
+}
+
+function getAbortSignal(opts) {
+  let signal = opts.signal;
+  if (signal && typeof signal.addEventListener === "function") {
+    return signal;
+  }
+}
+
+// milliseconds left until opts.timeout or opts.deadline, whichever
+// comes first, or undefined if neither is set
+function getTimeLeft(opts) {
+  let timeLeft = Infinity;
+  if (typeof opts.timeout === "number") {
+    timeLeft = opts.timeout;
+  }
+  if (opts.deadline !== undefined) {
+    // a Date deadline has been turned into an ISO string by clone()
+    let deadline = new Date(opts.deadline).getTime();
+    if (!isNaN(deadline)) {
+      timeLeft = Math.min(timeLeft, deadline - Date.now());
+    }
+  }
+  return timeLeft === Infinity ? undefined : Math.max(timeLeft, 0);
+}
+
+function timeoutError(name, timeLeft, queued) {
+  let reason = `${name  }() did not complete within ${  timeLeft  }ms`;
+  if (queued) {
+    reason += " (still waiting for the database to be ready)";
+  }
+  let err = createError(TIMEOUT_ERROR, reason);
+  err.method = name;
+  err.timeout = timeLeft;
+  err.queued = queued;
+  return err;
+}
+
+function removeTask(taskqueue, task) {
+  let queue = taskqueue.queue || [];
+  let idx = queue.indexOf(task);
+  if (idx !== -1) {
+    queue.splice(idx, 1);
+    return true;
+  }
+  return false;
+}
+
+// middleware registered through adapterFun.use()
+let middleware = [];
+
+function callAdapter(self, callback, args) {
+  return new Promise(function (fulfill, reject) {
+    let resp = callback.apply(self, args.concat(function (err, res) {
+      if (err) {
+        reject(err);
+      } else {
+        fulfill(res);
+      }
+    }));
+    if (resp && typeof resp.then === "function") {
+      fulfill(resp);
+    }
+  });
+}
+
+// Each middleware is called as fn(ctx, next), with ctx being
+// {db, name, args} minus the callback. It may rewrite ctx.args, return
+// a result without calling next() to short-circuit the call, or
+// transform whatever the promise returned by next() settles with.
+function runMiddleware(self, name, callback, args) {
+  let cb = args[args.length - 1];
+  let chain = middleware.slice();
+  let ctx = {db: self, name: name, args: args.slice(0, -1)};
+
+  function dispatch(i) {
+    if (i === chain.length) {
+      return callAdapter(self, callback, ctx.args);
+    }
+    return new Promise(function (fulfill) {
+      fulfill(chain[i](ctx, function next() {
+        return dispatch(i + 1);
+      }));
+    });
+  }
+
+  dispatch(0).then(function (res) {
+    cb(null, res);
+  }, cb);
+}
+
+function runAdapterFun(self, name, callback, args, state) {
+  logApiCall(self, name, args);
+  if (!self.taskqueue.isReady) {
+    return new Promise(function (fulfill, reject) {
+      let task = function (failed) {
+        if (failed) {
+          reject(failed);
+        } else {
+          fulfill(self[name].apply(self, args));
+        }
+      };
+      if (state) {
+        state.task = task;
+      }
+      self.taskqueue.addTask(task);
+    });
+  }
+  // only trace calls that actually run, queued ones come back through here
+  traceApiCall(self, name, args);
+  if (middleware.length) {
+    return runMiddleware(self, name, callback, args);
+  }
+  return callback.apply(self, args);
+}
+
+// settle early when opts.signal fires or the time is up, whether the call
+// is still waiting in the taskqueue (in which case it never runs) or
+// already in flight (in which case the adapter gets the signal along
+// with its opts)
+function cancellableAdapterFun(self, name, callback, args, signal, timeLeft) {
+  return new Promise(function (fulfill, reject) {
+    if (signal && signal.aborted) {
+      return reject(createError(ABORT_ERROR));
+    }
+    let state = {};
+    let timer;
+    function cancel() {
+      return !!state.task && removeTask(self.taskqueue, state.task);
+    }
+    function onAbort() {
+      clearTimeout(timer);
+      cancel();
+      reject(createError(ABORT_ERROR));
+    }
+    function onTimeout() {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      reject(timeoutError(name, timeLeft, cancel()));
+    }
+    function done(err, res) {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      clearTimeout(timer);
+      if (err) {
+        reject(err);
+      } else {
+        fulfill(res);
+      }
+    }
+    if (signal) {
+      signal.addEventListener("abort", onAbort);
+    }
+    if (timeLeft !== undefined) {
+      timer = setTimeout(onTimeout, timeLeft);
+    }
+    args[args.length - 1] = done;
+    try {
+      let resp = runAdapterFun(self, name, callback, args, state);
+      if (resp && typeof resp.then === "function") {
+        resp.then(function (res) {
+          done(null, res);
+        }, done);
+      }
+    } catch (e) {
+      done(e);
+    }
+  });
+}
+
 function adapterFun(name, callback) {
   return toPromise(function (...args) {
     if (this._closed) {
@@ -182,23 +752,28 @@ function adapterFun(name, callback) {
     if (this._destroyed) {
       return Promise.reject(new Error("database is destroyed"));
     }
-    let self = this;
-    logApiCall(self, name, args);
-    if (!this.taskqueue.isReady) {
-      return new Promise(function (fulfill, reject) {
-        self.taskqueue.addTask(function (failed) {
-          if (failed) {
-            reject(failed);
-          } else {
-            fulfill(self[name].apply(self, args));
-          }
-        });
-      });
+    let opts = getCallOpts(name, args);
+    let signal = getAbortSignal(opts);
+    let timeLeft = getTimeLeft(opts);
+    if (signal || timeLeft !== undefined) {
+      return cancellableAdapterFun(this, name, callback, args, signal, timeLeft);
     }
-    return callback.apply(this, args);
-  });
+    return runAdapterFun(this, name, callback, args);
+  }, name);
 }
 
+// register a middleware for all adapterFun methods, see runMiddleware();
+// returns a function that unregisters it again
+adapterFun.use = function (fn) {
+  middleware.push(fn);
+  return function () {
+    let idx = middleware.indexOf(fn);
+    if (idx !== -1) {
+      middleware.splice(idx, 1);
+    }
+  };
+};
+
 // like underscore/lodash _.pick()
 function pick(obj, arr) {
   let res = {};
@@ -226,120 +801,337 @@ function formatResultForOpenRevsGet(result) {
   }];
 }
 
-// shim for P/CouchDB adapters that don't directly implement _bulk_get
-function bulkGet(db, opts, callback) {
+// Turns the attachments the caller already has into stubs, which are
+// those that haven't changed since the latest of the atts_since revs
+// the doc descends from. Needs the doc's _revisions to tell.
+function stubAttachmentsSince(doc, attsSince) {
+  let revisions = doc._revisions;
+  if (!doc._attachments || !revisions) {
+    return;
+  }
+  let knownPos = 0;
+  attsSince.forEach(function (rev) {
+    if (typeof rev !== "string" || !revRegex.test(rev)) {
+      return;
+    }
+    let parsed = parseRev(rev);
+    if (revisions.ids[revisions.start - parsed.pos] === parsed.hash) {
+      knownPos = Math.max(knownPos, parsed.pos);
+    }
+  });
+  Object.keys(doc._attachments).forEach(function (name) {
+    let att = doc._attachments[name];
+    if (att.revpos <= knownPos) {
+      delete att.data;
+      att.stub = true;
+    }
+  });
+}
+
+// no status usually means the request never made it to the server
+function isTransientError(err) {
+  return !err.status || err.status >= 500;
+}
+
+// Does the actual work for bulkGet() and bulkGetStream(), calling
+// handlers.result(docIndex, {id, docs}) as each group of requests is
+// fetched and handlers.done() when all of them are. No new db.get()
+// calls are made while handlers.paused() returns true, call resume() on
+// the returned object once it doesn't anymore, or cancel() to give up.
+//
+// On top of the _bulk_get options, this understands:
+//   - concurrency: how many db.get() calls may run at once, defaults to
+//     MAX_NUM_CONCURRENT_REQUESTS
+//   - retries: how many times a db.get() failing with a 5xx or network
+//     error is retried before the error is reported, defaults to 0
+//   - back_off_function: how long to wait before each retry, as in
+//     replicate(), defaults to defaultBackOff
+//   - total_timeout: milliseconds after which all docs that haven't been
+//     fetched yet are reported as errors
+function runBulkGet(db, opts, handlers) {
   let requests = opts.docs;
+  let concurrency = opts.concurrency || MAX_NUM_CONCURRENT_REQUESTS;
+  let retries = opts.retries || 0;
+  let backOff = opts.back_off_function || defaultBackOff;
 
-  // consolidate into one request per doc if possible
-  let requestsById = new Map();
+  // consolidate into one request per doc if possible, that is per doc
+  // and set of per-request options
+  let requestsByGroup = new Map();
   requests.forEach(function (request) {
-    if (requestsById.has(request.id)) {
-      requestsById.get(request.id).push(request);
+    let group = JSON.stringify([request.id, request.atts_since, request.attachments]);
+    if (requestsByGroup.has(group)) {
+      requestsByGroup.get(group).push(request);
     } else {
-      requestsById.set(request.id, [request]);
+      requestsByGroup.set(group, [request]);
     }
   });
 
-  let numDocs = requestsById.size;
+  let numDocs = requestsByGroup.size;
   let numDone = 0;
-  let perDocResults = new Array(numDocs);
-
-  function collapseResultsAndFinish() {
-    let results = [];
-    perDocResults.forEach(function (res) {
-      res.docs.forEach(function (info) {
-        results.push({
-          id: res.id,
-          docs: [info],
-        });
-      });
-    });
-    callback(null, {results: results});
+  let gotResults = new Array(numDocs);
+  let finished = false;
+  let timeout;
+
+  function finish() {
+    finished = true;
+    clearTimeout(timeout);
+    handlers.done();
   }
 
-  function checkDone() {
+  function gotResult(docIndex, id, docs) {
+    if (finished || gotResults[docIndex]) {
+      return;
+    }
+    gotResults[docIndex] = true;
+    handlers.result(docIndex, {id: id, docs: docs});
     if (++numDone === numDocs) {
-      collapseResultsAndFinish();
+      finish();
     }
   }
 
-  function gotResult(docIndex, id, docs) {
-    perDocResults[docIndex] = {id: id, docs: docs};
-    checkDone();
-  }
-
   let allRequests = [];
-  requestsById.forEach(function (value, key) {
-    allRequests.push(key);
+  requestsByGroup.forEach(function (value) {
+    allRequests.push(value);
   });
 
   let i = 0;
+  let numRunning = 0;
+
+  function next() {
+    while (!finished && numRunning < concurrency && i < allRequests.length &&
+        !(handlers.paused && handlers.paused())) {
+      numRunning++;
+      processDoc(allRequests[i], i);
+      i++;
+    }
+  }
 
-  function nextBatch() {
+  function processDoc(docRequests, docIdx) {
+    let docId = docRequests[0].id;
 
-    if (i >= allRequests.length) {
-      return;
+    // globally-supplied options
+    let docOpts = {};
+    ["revs", "attachments", "binary", "ajax", "latest"].forEach(function (param) {
+      if (param in opts) {
+        docOpts[param] = opts[param];
+      }
+    });
+
+    // per-request options, which are the same for the whole group
+    let requestOpts = pick(docRequests[0], ["atts_since", "attachments"]);
+    Object.keys(requestOpts).forEach(function (param) {
+      docOpts[param] = requestOpts[param];
+    });
+
+    // we need the doc's history to know which attachments to stub, unless
+    // the caller doesn't want attachments at all, when CouchDB would
+    // still send those newer than atts_since
+    if (docOpts.attachments === false) {
+      delete docOpts.atts_since;
+    }
+    let attsSince = docOpts.atts_since;
+    let keepRevisions = docOpts.revs;
+    if (attsSince) {
+      docOpts.attachments = true;
+      docOpts.revs = true;
     }
 
-    let upTo = Math.min(i + MAX_NUM_CONCURRENT_REQUESTS, allRequests.length);
-    let batch = allRequests.slice(i, upTo);
-    processBatch(batch, i);
-    i += batch.length;
-  }
+    docOpts.open_revs = docRequests.map(function (request) {
+      // rev is optional, open_revs disallowed
+      return request.rev;
+    });
 
-  function processBatch(batch, offset) {
-    batch.forEach(function (docId, j) {
-      let docIdx = offset + j;
-      let docRequests = requestsById.get(docId);
+    // remove falsey / undefined revisions
+    docOpts.open_revs = docOpts.open_revs.filter(identityFunction);
 
-      // just use the first request as the "template"
-      // TODO: The _bulk_get API allows for more subtle use cases than this,
-      // but for now it is unlikely that there will be a mix of different
-      // "atts_since" or "attachments" in the same request, since it's just
-      // replicate.js that is using this for the moment.
-      // Also, atts_since is aspirational, since we don't support it yet.
-      let docOpts = pick(docRequests[0], ["atts_since", "attachments"]);
-      docOpts.open_revs = docRequests.map(function (request) {
-        // rev is optional, open_revs disallowed
-        return request.rev;
-      });
+    let formatResult = identityFunction;
 
-      // remove falsey / undefined revisions
-      docOpts.open_revs = docOpts.open_revs.filter(identityFunction);
+    if (docOpts.open_revs.length === 0) {
+      delete docOpts.open_revs;
 
-      let formatResult = identityFunction;
+      // when fetching only the "winning" leaf,
+      // transform the result so it looks like an open_revs
+      // request
+      formatResult = formatResultForOpenRevsGet;
+    }
 
-      if (docOpts.open_revs.length === 0) {
-        delete docOpts.open_revs;
+    function get() {
+      return new Promise(function (fulfill, reject) {
+        db.get(docId, docOpts, function (err, res) {
+          if (err) {
+            return reject(err);
+          }
+          fulfill(res);
+        });
+      });
+    }
 
-        // when fetching only the "winning" leaf,
-        // transform the result so it looks like an open_revs
-        // request
-        formatResult = formatResultForOpenRevsGet;
+    function gotDoc(err, res) {
+      let result;
+      /* istanbul ignore if */
+      if (err) {
+        result = [{error: err}];
+      } else {
+        result = formatResult(res);
+        if (attsSince) {
+          result.forEach(function (info) {
+            if (info.ok) {
+              stubAttachmentsSince(info.ok, attsSince);
+              if (!keepRevisions) {
+                delete info.ok._revisions;
+              }
+            }
+          });
+        }
       }
+      numRunning--;
+      gotResult(docIdx, docId, result);
+      next();
+    }
 
-      // globally-supplied options
-      ["revs", "attachments", "binary", "ajax", "latest"].forEach(function (param) {
-        if (param in opts) {
-          docOpts[param] = opts[param];
-        }
+    retry(get, {
+      backOff: backOff,
+      maxAttempts: retries + 1,
+      shouldRetry: function (err) {
+        return isTransientError(err) && !finished;
+      },
+    }).then(function (res) {
+      gotDoc(null, res);
+    }, gotDoc);
+  }
+
+  if (opts.total_timeout) {
+    timeout = setTimeout(function () {
+      let err = createError(TIMEOUT_ERROR, `bulkGet() did not complete within ${
+        opts.total_timeout  }ms`);
+      allRequests.forEach(function (docRequests, docIdx) {
+        gotResult(docIdx, docRequests[0].id, [{error: err}]);
       });
-      db.get(docId, docOpts, function (err, res) {
-        let result;
-        /* istanbul ignore if */
-        if (err) {
-          result = [{error: err}];
-        } else {
-          result = formatResult(res);
-        }
-        gotResult(docIdx, docId, result);
-        nextBatch();
+    }, opts.total_timeout);
+  }
+
+  if (!numDocs) {
+    finish();
+  }
+  next();
+
+  return {
+    resume: next,
+    cancel: function () {
+      finished = true;
+      clearTimeout(timeout);
+    },
+  };
+}
+
+// shim for P/CouchDB adapters that don't directly implement _bulk_get,
+// takes the options described in runBulkGet()
+function bulkGet(db, opts, callback) {
+  let perDocResults = [];
+
+  function collapseResultsAndFinish() {
+    let results = [];
+    perDocResults.forEach(function (res) {
+      res.docs.forEach(function (info) {
+        results.push({
+          id: res.id,
+          docs: [info],
+        });
       });
     });
+    callback(null, {results: results});
   }
 
-  nextBatch();
+  runBulkGet(db, opts, {
+    result: function (docIndex, res) {
+      perDocResults[docIndex] = res;
+    },
+    done: collapseResultsAndFinish,
+  });
+}
 
+// Like bulkGet(), but returns an async iterator yielding each {id, docs}
+// as soon as it has been fetched, rather than everything at the end.
+// Results come in the order they arrive unless opts.ordered is set, and
+// no more docs are fetched while opts.high_water_mark results (defaulting
+// to the concurrency) are waiting to be consumed.
+function bulkGetStream(db, opts) {
+  let highWaterMark = opts.high_water_mark || opts.concurrency ||
+    MAX_NUM_CONCURRENT_REQUESTS;
+  let buffer = [];
+  let early = new Map(); // by index, when ordered
+  let numEarly = 0;
+  let nextIndex = 0;
+  let waiting = null;
+  let done = false;
+
+  function push(res) {
+    if (waiting) {
+      let fulfill = waiting;
+      waiting = null;
+      fulfill({value: res, done: false});
+    } else {
+      buffer.push(res);
+    }
+  }
+
+  function end() {
+    done = true;
+    if (waiting) {
+      let fulfill = waiting;
+      waiting = null;
+      fulfill({value: undefined, done: true});
+    }
+  }
+
+  let control = runBulkGet(db, opts, {
+    result: function (docIndex, res) {
+      if (!opts.ordered) {
+        return push(res);
+      }
+      early.set(docIndex, res);
+      numEarly++;
+      while (early.has(nextIndex)) {
+        push(early.get(nextIndex));
+        early.delete(nextIndex);
+        numEarly--;
+        nextIndex++;
+      }
+    },
+    done: end,
+    paused: function () {
+      return buffer.length + numEarly >= highWaterMark;
+    },
+  });
+
+  let iterator = {
+    next: function () {
+      if (buffer.length) {
+        let res = buffer.shift();
+        control.resume();
+        return Promise.resolve({value: res, done: false});
+      }
+      if (done) {
+        return Promise.resolve({value: undefined, done: true});
+      }
+      return new Promise(function (fulfill) {
+        waiting = fulfill;
+        control.resume();
+      });
+    },
+    return: function () {
+      control.cancel();
+      buffer = [];
+      end();
+      return Promise.resolve({value: undefined, done: true});
+    },
+  };
+  if (typeof Symbol !== "undefined" && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function () {
+      return iterator;
+    };
+  }
+  return iterator;
 }
 
 let hasLocal;
@@ -355,18 +1147,131 @@ function hasLocalStorage() {
   return hasLocal;
 }
 
+// A transport for Changes built on a BroadcastChannel, e.g. to notify
+// other tabs and workers. Pass opts.BroadcastChannel to use another
+// implementation than the global one.
+function broadcastChangesTransport(opts) {
+  opts = opts || {};
+  let Channel = opts.BroadcastChannel ||
+    (typeof BroadcastChannel !== "undefined" ? BroadcastChannel : null);
+  if (!Channel) {
+    throw new Error("BroadcastChannel is not supported in this environment");
+  }
+  let channel = new Channel(opts.name || "pouchdb-changes");
+  return {
+    publish: function (message) {
+      channel.postMessage(message);
+    },
+    subscribe: function (onMessage) {
+      function onEvent(event) {
+        onMessage(event.data);
+      }
+      channel.addEventListener("message", onEvent);
+      return function () {
+        channel.removeEventListener("message", onEvent);
+      };
+    },
+    close: function () {
+      channel.close();
+    },
+  };
+}
+
+// A transport for Changes for browsers without BroadcastChannel, writing
+// messages to localStorage under the db name so other tabs get a storage
+// event. Older versions only look at the key changing, so they still
+// get notified, and their "a"/"b" toggles are understood in turn.
+function localStorageChangesTransport() {
+  let counter = 0;
+  return {
+    publish: function (message) {
+      // the counter makes sure the value changes, or there is no event
+      localStorage[message.db] = JSON.stringify(assign$2({
+        counter: ++counter,
+      }, message));
+    },
+    subscribe: function (onMessage) {
+      function onStorage(e) {
+        if (e.key === null) { // localStorage.clear()
+          return;
+        }
+        let message;
+        try {
+          message = JSON.parse(e.newValue);
+        } catch (err) {
+          // not ours, or written by an older version
+        }
+        if (!message || message.db !== e.key) {
+          message = {db: e.key};
+        }
+        onMessage(message);
+      }
+      addEventListener("storage", onStorage);
+      return function () {
+        removeEventListener("storage", onStorage);
+      };
+    },
+  };
+}
+
+// other tabs are told about changes through a BroadcastChannel where
+// there is one, and by writing to localStorage otherwise
+function defaultChangesTransport() {
+  if (typeof BroadcastChannel !== "undefined") {
+    return broadcastChangesTransport();
+  }
+  if (hasLocalStorage()) {
+    return localStorageChangesTransport();
+  }
+  return null;
+}
+
 // Custom nextTick() shim for browsers. In node, this will just be process.nextTick(). We
 
+
+let COALESCING_DEFAULTS = {
+  debounce: 0,
+  max_wait: Infinity,
+  max_concurrent: 1,
+  max_failures: Infinity,
+};
+
+let LISTENER_FAILED_ERROR = {
+  status: 500,
+  name: "listener_failed",
+  message: "Changes listener cancelled after too many failures",
+  error: true,
+};
+
+// Notifications for a listener can be coalesced with these options, given
+// to the constructor or per listener in addListener()'s opts:
+//  - debounce: wait this many ms for more notifications before querying
+//    db.changes(), so a burst of writes only causes a single query
+//  - max_wait: but never delay a query more than this many ms after the
+//    first notification of a burst
+//  - max_concurrent: how many db.changes() queries a listener may have
+//    running at once, later notifications wait for one of them to finish
+//
+// A failed query is retried after back_off_function(lastDelay) ms, which
+// defaults to defaultBackOff(). Every error is passed to opts.onError, and
+// after max_failures failures in a row, or once back_off_function is
+// exhausted or throws, the listener is removed and opts.onError and
+// opts.complete get a listener_failed error with the last one as cause.
 class Changes extends EventEmitter {
-  constructor() {
+  constructor(opts) {
     super();
 
     this._listeners = {};
-
-    if (hasLocalStorage()) {
-      addEventListener("storage", (e) => {
-        this.emit(e.key);
-      });
+    this._listenerState = {};
+    this._coalescing = assign$2({}, COALESCING_DEFAULTS, opts &&
+      pick(opts, Object.keys(COALESCING_DEFAULTS)));
+    this._metrics = {notifications: 0, merged: 0, queries: 0};
+    this._origin = v4();
+    this._transports = [];
+
+    let transport = defaultChangesTransport();
+    if (transport) {
+      this.addTransport(transport);
     }
   }
 
@@ -374,24 +1279,122 @@ class Changes extends EventEmitter {
     if (this._listeners[id]) {
       return;
     }
-    let inprogress = false;
     let self = this;
-    function eventFunction() {
+    let coalescing = assign$2({}, this._coalescing,
+                              pick(opts, Object.keys(COALESCING_DEFAULTS)));
+    let backOff = opts.back_off_function || defaultBackOff;
+    let state = {
+      dbName: dbName,
+      opts: opts,
+      lastError: null,
+      running: 0,
+      waiting: false,
+      timer: null,
+      burstStart: 0,
+      failures: 0,
+      retryDelay: 0,
+      retryTimer: null,
+      metrics: {notifications: 0, merged: 0, queries: 0},
+    };
+
+    function count(metric) {
+      state.metrics[metric]++;
+      self._metrics[metric]++;
+    }
+
+    function eventFunction(message) {
+      if (!self._listeners[id]) {
+        return;
+      }
+      if (message && typeof message.seq === "number" &&
+          typeof opts.since === "number" && message.seq <= opts.since) {
+        return; // we've already seen this change
+      }
+      count("notifications");
+      if (!coalescing.debounce) {
+        return runQuery();
+      }
+      let now = Date.now();
+      if (state.timer) {
+        count("merged");
+        clearTimeout(state.timer);
+      } else {
+        state.burstStart = now;
+      }
+      let delay = Math.min(coalescing.debounce,
+                           state.burstStart + coalescing.max_wait - now);
+      state.timer = setTimeout(function () {
+        state.timer = null;
+        runQuery();
+      }, Math.max(delay, 0));
+    }
+
+    function runQuery() {
       if (!self._listeners[id]) {
         return;
       }
-      if (inprogress) {
-        inprogress = "waiting";
+      if (state.running >= coalescing.max_concurrent) {
+        if (state.waiting) {
+          count("merged");
+        }
+        state.waiting = true;
         return;
       }
-      inprogress = true;
+      state.running++;
+      count("queries");
       let changesOpts = pick(opts, [
         "style", "include_docs", "attachments", "conflicts", "filter",
         "doc_ids", "view", "since", "query_params", "binary", "return_docs",
       ]);
 
-      function onError() {
-        inprogress = false;
+      function giveUp(err) {
+        let error = createError(LISTENER_FAILED_ERROR,
+                                `Gave up on changes listener ${  id  } for ${  dbName
+                                } after ${  state.failures  } failures`);
+        error.cause = err;
+        opts.cancelled = true;
+        self.removeListener(dbName, id);
+        if (typeof opts.onError === "function") {
+          opts.onError(error);
+        }
+        // so that a live changes feed ends with the error rather than
+        // just going quiet
+        if (typeof opts.complete === "function") {
+          opts.complete(error);
+        }
+      }
+
+      function onError(err) {
+        state.running--;
+        if (!self._listeners[id]) {
+          return;
+        }
+        state.lastError = err;
+        if (++state.failures >= coalescing.max_failures) {
+          return giveUp(err);
+        }
+        let retryDelay;
+        if (!state.retryTimer) {
+          try {
+            retryDelay = backOff(state.retryDelay, state.failures);
+          } catch (e) {
+            // a createBackOff() with opts.maxAttempts ran out, or
+            // back_off_function is broken
+            return giveUp(isBackOffExhausted(e) ? err : e);
+          }
+        }
+        if (typeof opts.onError === "function") {
+          opts.onError(err);
+        }
+        // the retry covers anything that came in meanwhile
+        state.waiting = false;
+        if (!state.retryTimer) {
+          state.retryDelay = retryDelay;
+          state.retryTimer = setTimeout(function () {
+            state.retryTimer = null;
+            runQuery();
+          }, state.retryDelay);
+        }
       }
 
       db.changes(changesOpts).on("change", function (c) {
@@ -400,13 +1403,17 @@ class Changes extends EventEmitter {
           opts.onChange(c);
         }
       }).on("complete", function () {
-        if (inprogress === "waiting") {
-          immediate(eventFunction);
+        state.running--;
+        state.failures = 0;
+        state.retryDelay = 0;
+        if (state.waiting) {
+          state.waiting = false;
+          immediate(runQuery);
         }
-        inprogress = false;
       }).on("error", onError);
     }
     this._listeners[id] = eventFunction;
+    this._listenerState[id] = state;
     this.on(dbName, eventFunction);
   }
 
@@ -415,20 +1422,116 @@ class Changes extends EventEmitter {
       return;
     }
     super.removeListener(dbName, this._listeners[id]);
+    clearTimeout(this._listenerState[id].timer);
+    clearTimeout(this._listenerState[id].retryTimer);
     delete this._listeners[id];
+    delete this._listenerState[id];
+  }
+
+  // Also forgets about the listeners added with addListener(), which
+  // EventEmitter's version would leave behind in this._listeners
+  removeAllListeners(dbName) {
+    let self = this;
+    Object.keys(this._listenerState).forEach(function (id) {
+      let state = self._listenerState[id];
+      if (dbName === undefined || state.dbName === dbName) {
+        self.removeListener(state.dbName, id);
+      }
+    });
+    if (dbName === undefined) {
+      return super.removeAllListeners();
+    }
+    return super.removeAllListeners(dbName);
   }
 
-  notifyLocalWindows(dbName) {
-    //do a useless change on a storage thing
-    //in order to get other windows's listeners to activate
-    if (hasLocalStorage()) {
-      localStorage[dbName] = (localStorage[dbName] === "a") ? "b" : "a";
+  // Describes the listeners for dbName, or all of them, to help find
+  // leaked ones. state is one of 'idle', 'debouncing' (waiting for more
+  // notifications), 'running' (querying db.changes()), 'waiting' (to
+  // query again once that's done) or 'retrying' (after an error).
+  getListeners(dbName) {
+    let self = this;
+    return Object.keys(this._listenerState).filter(function (id) {
+      return dbName === undefined ||
+        self._listenerState[id].dbName === dbName;
+    }).map(function (id) {
+      let state = self._listenerState[id];
+      let status = "idle";
+      if (state.retryTimer) {
+        status = "retrying";
+      } else if (state.waiting) {
+        status = "waiting";
+      } else if (state.running) {
+        status = "running";
+      } else if (state.timer) {
+        status = "debouncing";
+      }
+      return {
+        id: id,
+        dbName: state.dbName,
+        since: state.opts.since,
+        state: status,
+        running: state.running,
+        failures: state.failures,
+        lastError: state.lastError,
+        notifications: state.metrics.notifications,
+      };
+    });
+  }
+
+  // How many notifications there were, how many of them were merged into
+  // another one's db.changes() query, and how many queries were made, for
+  // the listener with the given id, or all of them if none is given
+  getMetrics(id) {
+    if (id === undefined) {
+      return assign$2({}, this._metrics);
+    }
+    if (!this._listenerState[id]) {
+      return null;
     }
+    return assign$2({}, this._listenerState[id].metrics);
   }
 
-  notify(dbName) {
-    this.emit(dbName);
-    this.notifyLocalWindows(dbName);
+  // kept for backwards compatibility, other windows are told about
+  // changes by the default transport now
+  notifyLocalWindows(dbName, seq) {
+    this.notifyTransports(dbName, seq);
+  }
+
+  // Adds a transport to tell other processes about changes, and to be
+  // told about theirs. A transport is an object with publish(message) and
+  // subscribe(onMessage) returning a function to unsubscribe, messages
+  // being {db, seq, origin} where seq is the latest update seq if known
+  // and origin identifies the sender, so we can ignore our own messages.
+  // Returns a function to remove the transport again.
+  addTransport(transport) {
+    let self = this;
+    let unsubscribe = transport.subscribe(function (message) {
+      if (message && message.origin !== self._origin &&
+          typeof message.db === "string") {
+        self.emit(message.db, message);
+      }
+    });
+    let entry = {transport: transport, unsubscribe: unsubscribe};
+    this._transports.push(entry);
+    return function () {
+      let idx = self._transports.indexOf(entry);
+      if (idx !== -1) {
+        self._transports.splice(idx, 1);
+        entry.unsubscribe();
+      }
+    };
+  }
+
+  notifyTransports(dbName, seq) {
+    let message = {db: dbName, seq: seq, origin: this._origin};
+    this._transports.forEach(function (entry) {
+      entry.transport.publish(message);
+    });
+  }
+
+  notify(dbName, seq) {
+    this.emit(dbName, {db: dbName, seq: seq, origin: this._origin});
+    this.notifyTransports(dbName, seq);
   }
 }
 
@@ -436,7 +1539,7 @@ function guardedConsole(method) {
   /* istanbul ignore else */
   if (typeof console !== "undefined" && typeof console[method] === "function") {
     let args = Array.prototype.slice.call(arguments, 1);
-    console[method].apply(console, args);
+    console[method].apply(console, redactForLog(args));
   }
 }
 
@@ -468,6 +1571,213 @@ function defaultBackOff(min) {
   return randomNumber(min, max);
 }
 
+// mulberry32, good enough to make jittered delays reproducible in tests
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// each gets the attempt number (starting at 1), the previous delay and
+// the options, and returns the next delay before applying the cap
+let backOffStrategies = {
+  exponential: function (attempt, previous, opts) {
+    return opts.base * Math.pow(2, attempt - 1);
+  },
+  // see https://aws.amazon.com/blogs/architecture/
+  // exponential-backoff-and-jitter/
+  full_jitter: function (attempt, previous, opts) {
+    let max = Math.min(opts.cap, opts.base * Math.pow(2, attempt - 1));
+    return opts.random() * max;
+  },
+  decorrelated_jitter: function (attempt, previous, opts) {
+    let max = (previous || opts.base) * 3;
+    return opts.base + opts.random() * (max - opts.base);
+  },
+  linear: function (attempt, previous, opts) {
+    return opts.base * attempt;
+  },
+  constant: function (attempt, previous, opts) {
+    return opts.base;
+  },
+};
+
+let BACK_OFF_DEFAULTS = {
+  base: 1000,
+  cap: 600000, // same 10 minutes as defaultBackOff
+  maxAttempts: Infinity,
+};
+
+// thrown by the functions createBackOff() returns once they run out of
+// attempts, as there's no delay a caller couldn't mistake for a real one
+let BACK_OFF_EXHAUSTED_ERROR = {
+  status: 500,
+  name: "back_off_exhausted",
+  message: "Ran out of attempts to back off for",
+  error: true,
+};
+
+function isBackOffExhausted(err) {
+  return !!err && err.name === BACK_OFF_EXHAUSTED_ERROR.name;
+}
+
+// Returns a function with the same (previous) => next contract as
+// defaultBackOff, using one of the strategies above. retry() and changes
+// listeners also pass the number of the attempt that failed, so that one
+// function can be shared by any number of them. Other callers get it
+// counted for them: delays are at least 1ms, so that passing anything but
+// the delay it returned last, like 0, unambiguously starts over at the
+// first attempt. After opts.maxAttempts delays it throws a
+// back_off_exhausted error (see isBackOffExhausted()) until it is started
+// over. Pass opts.seed (or your own opts.random) to get the same jittered
+// delays every time.
+function createBackOff(strategy, opts) {
+  let compute = Object.prototype.hasOwnProperty.call(backOffStrategies,
+                                                     strategy) && backOffStrategies[strategy];
+  if (!compute) {
+    throw createError(BAD_ARG,
+                      `Unknown back off strategy: ${  strategy}`);
+  }
+  opts = assign$2({}, BACK_OFF_DEFAULTS, opts);
+  if (!opts.random) {
+    opts.random = typeof opts.seed === "number" ?
+      seededRandom(opts.seed) : Math.random;
+  }
+  let attempt = 0;
+  let last = 0;
+  return function (previous, failedAttempt) {
+    let counted = typeof failedAttempt !== "number";
+    if (counted) {
+      attempt = previous && previous === last ? attempt + 1 : 1;
+    }
+    let current = counted ? attempt : failedAttempt;
+    if (current > opts.maxAttempts) {
+      if (counted) {
+        // so that calling it again with the same delay still gives up
+        attempt = opts.maxAttempts;
+      }
+      throw createError(BACK_OFF_EXHAUSTED_ERROR,
+                        `Gave up after ${  opts.maxAttempts  } attempts`);
+    }
+    let delay = Math.max(1,
+                         Math.round(Math.min(opts.cap, compute(current, previous, opts))));
+    if (counted) {
+      last = delay;
+    }
+    return delay;
+  };
+}
+
+// conflicts, server and network errors (which have no status)
+function isRetryableError(err) {
+  return !err || err.status === 409 || isTransientError(err);
+}
+
+let DEFAULT_MAX_ATTEMPTS = 10;
+
+// Calls fn(attempt), attempt starting at 1, until the promise it returns
+// resolves, and resolves with that. Failed attempts are retried as long as
+// opts.shouldRetry(err, attempt) agrees, which defaults to retrying
+// conflicts, 5xx and network errors, after waiting for as long as
+// opts.backOff(previousDelay, attempt) says (like defaultBackOff, the
+// default, or createBackOff()). Gives
+// up with the last error after opts.maxAttempts attempts (10 by default)
+// or once opts.backOff is exhausted, or with an AbortError when
+// opts.signal is aborted.
+//
+// opts.onRetry(err, info) is called before waiting to retry, info being
+// {attempt, duration, delay}. Errors from fn are passed on as they are.
+function retry(fn, opts) {
+  opts = opts || {};
+  let backOff = opts.backOff || defaultBackOff;
+  let maxAttempts = opts.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  let shouldRetry = opts.shouldRetry || isRetryableError;
+  let signal = getAbortSignal(opts);
+  let attempts = 0;
+
+  return new Promise(function (fulfill, reject) {
+    let delay = 0;
+    let timer;
+    let done = false;
+
+    // ok rather than the error says how it went, as fn might well
+    // reject with undefined
+    function finish(ok, value) {
+      if (done) {
+        return;
+      }
+      done = true;
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      if (ok) {
+        return fulfill(value);
+      }
+      reject(value);
+    }
+
+    function onAbort() {
+      finish(false, createError(ABORT_ERROR));
+    }
+
+    function retryOrFinish(err, number, info) {
+      if (number >= maxAttempts || !shouldRetry(err, number)) {
+        return finish(false, err);
+      }
+      try {
+        delay = backOff(delay, number);
+      } catch (e) {
+        if (isBackOffExhausted(e)) {
+          return finish(false, err);
+        }
+        throw e;
+      }
+      info.delay = delay;
+      if (opts.onRetry) {
+        opts.onRetry(err, info);
+      }
+      timer = setTimeout(attempt, delay);
+    }
+
+    function attempt() {
+      let number = ++attempts;
+      let info = {attempt: number, duration: 0};
+      let start = Date.now();
+      Promise.resolve().then(function () {
+        return fn(number);
+      }).then(function (res) {
+        info.duration = Date.now() - start;
+        finish(true, res);
+      }, function (err) {
+        info.duration = Date.now() - start;
+        if (done) {
+          return;
+        }
+        try {
+          retryOrFinish(err, number, info);
+        } catch (e) {
+          // shouldRetry(), backOff() or onRetry() threw
+          finish(false, e);
+        }
+      });
+    }
+
+    if (signal) {
+      if (signal.aborted) {
+        return onAbort();
+      }
+      signal.addEventListener("abort", onAbort);
+    }
+    attempt();
+  });
+}
+
 // designed to give info to browser users, who are disturbed
 // when they see http errors in the console
 function explainError(status, str) {
@@ -501,21 +1811,365 @@ let assign$1;
   }
 }
 
-let assign$2 = assign$1;
+var assign$2 = assign$1;
+
+function tryFilter(filter, doc, req) {
+  try {
+    return !filter(doc, req);
+  } catch (err) {
+    let msg = `Filter function threw: ${  err.toString()}`;
+    return createError(BAD_REQUEST, msg);
+  }
+}
+
+// Mango selectors, as in db.find() or CouchDB's _selector filter.
+// compileSelector() turns one into a function(doc) returning whether the
+// doc matches, or throws a BAD_REQUEST error when it's invalid.
+
+function selectorError(reason) {
+  return createError(BAD_REQUEST,
+                     `Invalid selector: ${  reason}`);
+}
+
+function isObjectNotArray(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// CouchDB's collation order: null < booleans < numbers < strings < arrays
+// < objects, though strings are compared by code unit rather than ICU
+function collationRank(value) {
+  if (value === null) {
+    return 1;
+  }
+  if (Array.isArray(value)) {
+    return 5;
+  }
+  return {boolean: 2, number: 3, string: 4, object: 6}[typeof value];
+}
+
+function collate(a, b) {
+  let rankA = collationRank(a);
+  let rankB = collationRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+  let i, res;
+  if (rankA === 5) {
+    for (i = 0; i < a.length && i < b.length; i++) {
+      if ((res = collate(a[i], b[i])) !== 0) {
+        return res;
+      }
+    }
+    return a.length - b.length;
+  }
+  if (rankA === 6) {
+    let keysA = Object.keys(a);
+    let keysB = Object.keys(b);
+    for (i = 0; i < keysA.length && i < keysB.length; i++) {
+      if ((res = collate(keysA[i], keysB[i])) !== 0 ||
+          (res = collate(a[keysA[i]], b[keysB[i]])) !== 0) {
+        return res;
+      }
+    }
+    return keysA.length - keysB.length;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// 'a.b\\.c' -> ['a', 'b.c']
+function parseField(field) {
+  let path = [];
+  let current = "";
+  for (let i = 0; i < field.length; i++) {
+    let ch = field.charAt(i);
+    if (ch === "\\" && field.charAt(i + 1) === ".") {
+      current += ".";
+      i++;
+    } else if (ch === ".") {
+      path.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  path.push(current);
+  return path;
+}
+
+// undefined when the field doesn't exist
+function getField(doc, path) {
+  let value = doc;
+  for (let i = 0; i < path.length; i++) {
+    if (!isObjectNotArray(value) ||
+        !Object.prototype.hasOwnProperty.call(value, path[i])) {
+      return undefined;
+    }
+    value = value[path[i]];
+  }
+  return value;
+}
+
+function isEqual(a, b) {
+  return a !== undefined && collate(a, b) === 0;
+}
+
+function isInList(value, list) {
+  return list.some(function (item) {
+    return isEqual(value, item) || (Array.isArray(value) &&
+      value.some(function (elem) {
+        return isEqual(elem, item);
+      }));
+  });
+}
+
+function requireArray(op, operand) {
+  if (!Array.isArray(operand)) {
+    throw selectorError(`${op  } requires an array`);
+  }
+}
+
+function requireObject(op, operand) {
+  if (!isObjectNotArray(operand)) {
+    throw selectorError(`${op  } requires an object`);
+  }
+}
+
+function compareWith(test) {
+  return function (operand) {
+    return function (value) {
+      return value !== undefined && test(collate(value, operand));
+    };
+  };
+}
+
+// each takes the operand and returns a function(value) for a field,
+// value being undefined when the field doesn't exist
+let conditionOperators = {
+  $eq: function (operand) {
+    return function (value) {
+      return isEqual(value, operand);
+    };
+  },
+  $ne: function (operand) {
+    return function (value) {
+      return value !== undefined && !isEqual(value, operand);
+    };
+  },
+  $gt: compareWith(function (res) {
+    return res > 0;
+  }),
+  $gte: compareWith(function (res) {
+    return res >= 0;
+  }),
+  $lt: compareWith(function (res) {
+    return res < 0;
+  }),
+  $lte: compareWith(function (res) {
+    return res <= 0;
+  }),
+  $in: function (operand) {
+    requireArray("$in", operand);
+    return function (value) {
+      return value !== undefined && isInList(value, operand);
+    };
+  },
+  $nin: function (operand) {
+    requireArray("$nin", operand);
+    return function (value) {
+      return value !== undefined && !isInList(value, operand);
+    };
+  },
+  $exists: function (operand) {
+    if (typeof operand !== "boolean") {
+      throw selectorError("$exists requires a boolean");
+    }
+    return function (value) {
+      return (value !== undefined) === operand;
+    };
+  },
+  $type: function (operand) {
+    let types = ["null", "boolean", "number", "string", "array", "object"];
+    if (types.indexOf(operand) === -1) {
+      throw selectorError(`$type must be one of ${  types.join(", ")}`);
+    }
+    return function (value) {
+      return value !== undefined && types[collationRank(value) - 1] === operand;
+    };
+  },
+  $size: function (operand) {
+    if (typeof operand !== "number" || operand % 1 !== 0 || operand < 0) {
+      throw selectorError("$size requires a non-negative integer");
+    }
+    return function (value) {
+      return Array.isArray(value) && value.length === operand;
+    };
+  },
+  $mod: function (operand) {
+    if (!Array.isArray(operand) || operand.length !== 2 ||
+        operand.some(function (num) {
+          return typeof num !== "number" || num % 1 !== 0;
+        }) || operand[0] === 0) {
+      throw selectorError("$mod requires [divisor, remainder] integers " +
+        "with a non-zero divisor");
+    }
+    return function (value) {
+      return typeof value === "number" && value % 1 === 0 &&
+        value % operand[0] === operand[1];
+    };
+  },
+  $regex: function (operand) {
+    if (typeof operand !== "string") {
+      throw selectorError("$regex requires a string");
+    }
+    let regex;
+    try {
+      regex = new RegExp(operand);
+    } catch (err) {
+      throw selectorError("$regex is not a valid regular expression");
+    }
+    return function (value) {
+      return typeof value === "string" && regex.test(value);
+    };
+  },
+  $all: function (operand) {
+    requireArray("$all", operand);
+    return function (value) {
+      return Array.isArray(value) && operand.every(function (item) {
+        return value.some(function (elem) {
+          return isEqual(elem, item);
+        });
+      });
+    };
+  },
+  $elemMatch: function (operand) {
+    requireObject("$elemMatch", operand);
+    let matches = compileCondition(operand);
+    return function (value) {
+      return Array.isArray(value) && value.some(matches);
+    };
+  },
+  $allMatch: function (operand) {
+    requireObject("$allMatch", operand);
+    let matches = compileCondition(operand);
+    return function (value) {
+      return Array.isArray(value) && value.every(matches);
+    };
+  },
+  $keyMapMatch: function (operand) {
+    requireObject("$keyMapMatch", operand);
+    let matches = compileCondition(operand);
+    return function (value) {
+      return isObjectNotArray(value) && Object.keys(value).some(matches);
+    };
+  },
+};
+
+function compileCombination(op, operand, compile) {
+  if (op === "$not") {
+    requireObject("$not", operand);
+    let matches = compile(operand);
+    return function (value) {
+      return !matches(value);
+    };
+  }
+  requireArray(op, operand);
+  let matchers = operand.map(function (item) {
+    if (!isObjectNotArray(item)) {
+      throw selectorError(`${op  } requires an array of objects`);
+    }
+    return compile(item);
+  });
+  return function (value) {
+    function test(matches) {
+      return matches(value);
+    }
+    if (op === "$and") {
+      return matchers.every(test);
+    }
+    let some = matchers.some(test);
+    return op === "$or" ? some : !some;
+  };
+}
+
+let combinationOperators = ["$and", "$or", "$nor", "$not"];
 
-function tryFilter(filter, doc, req) {
-  try {
-    return !filter(doc, req);
-  } catch (err) {
-    let msg = `Filter function threw: ${  err.toString()}`;
-    return createError(BAD_REQUEST, msg);
+function allOf(matchers) {
+  return function (value) {
+    return matchers.every(function (matches) {
+      return matches(value);
+    });
+  };
+}
+
+// a field's condition, either operators or a value to compare it with
+function compileCondition(condition) {
+  if (!isObjectNotArray(condition)) {
+    return conditionOperators.$eq(condition);
+  }
+  let keys = Object.keys(condition);
+  let numOperators = keys.filter(function (key) {
+    return key.charAt(0) === "$";
+  }).length;
+  if (!numOperators) {
+    // {a: {b: 1}} is short for {'a.b': 1}
+    return compileSelector(condition);
+  }
+  if (numOperators !== keys.length) {
+    throw selectorError("cannot mix operators and fields");
+  }
+  return allOf(keys.map(function (op) {
+    if (combinationOperators.indexOf(op) !== -1) {
+      return compileCombination(op, condition[op], compileCondition);
+    }
+    if (!Object.prototype.hasOwnProperty.call(conditionOperators, op)) {
+      throw selectorError(`unknown operator ${  op}`);
+    }
+    return conditionOperators[op](condition[op]);
+  }));
+}
+
+function compileSelector(selector) {
+  if (!isObjectNotArray(selector)) {
+    throw selectorError("must be an object");
   }
+  return allOf(Object.keys(selector).map(function (key) {
+    if (combinationOperators.indexOf(key) !== -1) {
+      return compileCombination(key, selector[key], compileSelector);
+    }
+    if (key.charAt(0) === "$") {
+      throw selectorError(`unknown operator ${  key}`);
+    }
+    let path = parseField(key);
+    let condition = selector[key];
+    let matches = compileCondition(condition);
+    // like CouchDB, nothing but {$exists: false} matches a missing field,
+    // not even $not or $nor
+    let matchesMissing = isObjectNotArray(condition) &&
+      condition.$exists === false;
+    return function (doc) {
+      let value = getField(doc, path);
+      if (value === undefined && !matchesMissing) {
+        return false;
+      }
+      return matches(value);
+    };
+  }));
 }
 
+// opts.selector, a Mango selector, filters on top of opts.filter
 function filterChange(opts) {
   let req = {};
   let hasFilter = opts.filter && typeof opts.filter === "function";
   req.query = opts.query_params;
+  let matchesSelector;
+  let selectorErr;
+  if (opts.selector) {
+    try {
+      matchesSelector = compileSelector(opts.selector);
+    } catch (err) {
+      selectorErr = err;
+    }
+  }
 
   return function filter(change) {
     if (!change.doc) {
@@ -534,6 +2188,14 @@ function filterChange(opts) {
       return false;
     }
 
+    if (selectorErr) {
+      return selectorErr;
+    }
+
+    if (matchesSelector && !matchesSelector(change.doc)) {
+      return false;
+    }
+
     if (!opts.include_docs) {
       delete change.doc;
     } else if (!opts.attachments) {
@@ -589,7 +2251,7 @@ let res$1 = res;
 //     '_local'
 //   - any other string value is a valid id
 // Returns the specific error object for each case
-function invalidIdError(id) {
+function getIdError(id) {
   let err;
   if (!id) {
     err = createError(MISSING_ID);
@@ -598,11 +2260,162 @@ function invalidIdError(id) {
   } else if (/^_/.test(id) && !(/^_(design|local)/).test(id)) {
     err = createError(RESERVED_ID);
   }
+  return err;
+}
+
+function invalidIdError(id) {
+  let err = getIdError(id);
   if (err) {
     throw err;
   }
 }
 
+// the same list the adapters use when parsing docs
+let reservedWords = [
+  "_id",
+  "_rev",
+  "_access",
+  "_attachments",
+  "_deleted",
+  "_revisions",
+  "_revs_info",
+  "_conflicts",
+  "_deleted_conflicts",
+  "_local_seq",
+  "_rev_tree",
+  // replication documents
+  "_replication_id",
+  "_replication_state",
+  "_replication_state_time",
+  "_replication_state_reason",
+  "_replication_stats",
+  // Specific to Couchbase Sync Gateway
+  "_removed",
+];
+
+var revRegex = /^\d+-[0-9a-f]+$/;
+
+function docError(template, path, reason) {
+  let err = createError(template, reason);
+  err.path = path;
+  return err;
+}
+
+function validateAttachments(atts, errors) {
+  if (!atts || typeof atts !== "object" || Array.isArray(atts)) {
+    errors.push(docError(BAD_REQUEST, "_attachments",
+                         "_attachments must be an object"));
+    return;
+  }
+  Object.keys(atts).forEach(function (name) {
+    let att = atts[name];
+    let path = `_attachments.${  name}`;
+    if (!att || typeof att !== "object") {
+      errors.push(docError(BAD_REQUEST, path,
+                           "attachment must be an object"));
+      return;
+    }
+    if ("digest" in att && typeof att.digest !== "string") {
+      errors.push(docError(BAD_REQUEST, `${path  }.digest`,
+                           "digest must be a string"));
+    }
+    if (att.stub) {
+      if (att.stub !== true) {
+        errors.push(docError(BAD_REQUEST, `${path  }.stub`,
+                             "stub must be true"));
+      }
+      return;
+    }
+    if (typeof att.content_type !== "string") {
+      errors.push(docError(BAD_REQUEST, `${path  }.content_type`,
+                           "content_type must be a string"));
+    }
+    if (!("data" in att)) {
+      errors.push(docError(BAD_REQUEST, `${path  }.data`,
+                           "attachment must have either data or stub: true"));
+    } else if (typeof att.data !== "string" && !isBinaryObject(att.data)) {
+      errors.push(docError(BAD_REQUEST, `${path  }.data`,
+                           "data must be a base64 string or binary"));
+    }
+  });
+}
+
+function validateRevisions(doc, errors) {
+  let revisions = doc._revisions;
+  if (!revisions || typeof revisions !== "object" ||
+      typeof revisions.start !== "number" || !Array.isArray(revisions.ids) ||
+      !revisions.ids.every(function (id) {
+        return typeof id === "string";
+      })) {
+    errors.push(docError(BAD_REQUEST, "_revisions",
+                         "_revisions must be of the form {start: number, ids: [string]}"));
+    return;
+  }
+  if (!("_rev" in doc)) {
+    errors.push(docError(BAD_REQUEST, "_revisions",
+                         "_revisions requires a _rev"));
+  } else if (doc._rev !== `${revisions.start  }-${  revisions.ids[0]}`) {
+    errors.push(docError(BAD_REQUEST, "_revisions",
+                         "_revisions does not match _rev"));
+  }
+}
+
+// Checks everything we can about a doc without looking at the database.
+// Unlike invalidIdError() this doesn't throw but returns all the problems
+// found, each of them a PouchError with an additional `path` property,
+// so an empty array means the doc is valid.
+//
+// Options:
+//   - requireId: whether the doc needs an _id, defaults to true
+//   - maxIdLength: the maximum length of the _id, if any
+function validateDoc(doc, opts) {
+  opts = opts || {};
+  let errors = [];
+
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    errors.push(docError(NOT_AN_OBJECT, ""));
+    return errors;
+  }
+
+  if ("_id" in doc || opts.requireId !== false) {
+    let idError = getIdError(doc._id);
+    if (idError) {
+      idError.path = "_id";
+      errors.push(idError);
+    } else if (opts.maxIdLength && doc._id.length > opts.maxIdLength) {
+      errors.push(docError(INVALID_ID, "_id",
+                           `_id must not be longer than ${  opts.maxIdLength  } characters`));
+    }
+  }
+
+  Object.keys(doc).forEach(function (key) {
+    if (key[0] === "_" && reservedWords.indexOf(key) === -1) {
+      errors.push(docError(DOC_VALIDATION, key,
+                           `Bad special document member: ${  key}`));
+    }
+  });
+
+  if ("_rev" in doc && (typeof doc._rev !== "string" ||
+      !revRegex.test(doc._rev))) {
+    errors.push(docError(INVALID_REV, "_rev"));
+  }
+
+  if ("_attachments" in doc) {
+    validateAttachments(doc._attachments, errors);
+  }
+
+  if ("_deleted" in doc && typeof doc._deleted !== "boolean") {
+    errors.push(docError(BAD_REQUEST, "_deleted",
+                         "_deleted must be a boolean"));
+  }
+
+  if ("_revisions" in doc) {
+    validateRevisions(doc, errors);
+  }
+
+  return errors;
+}
+
 // Checks if a PouchDB object is "remote" or not. This is
 
 function isRemote(db) {
@@ -656,7 +2469,7 @@ let qParser = /(?:^|&)([^&=]*)=?([^&]*)/g;
 /* eslint no-useless-escape: 0 */
 let parser = /^(?:(?![^:@]+:[^:@\/]*@)([^:\/?#.]+):)?(?:\/\/)?((?:(([^:@]*)(?::([^:@]*))?)?@)?([^:\/?#]*)(?::(\d*))?)(((\/(?:[^?#](?![^?#\/]*\.[^?#\/.]+(?:[?#]|$)))*\/?)?([^?#\/]*))(?:\?([^#]*))?(?:#(.*))?)/;
 
-function parseUri(str) {
+function parseUriLegacy(str) {
   let m = parser.exec(str);
   let uri = {};
   let i = 14;
@@ -678,6 +2491,206 @@ function parseUri(str) {
   return uri;
 }
 
+function safeDecode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (err) {
+    return str; // not validly percent-encoded, so leave it alone
+  }
+}
+
+// Parses str as a WHATWG URL, giving the same fields as the old regex
+// based parser did, which handles IPv6 hosts (kept in brackets), user
+// names and passwords containing "@" or ":" and so on. Unlike before,
+// queryKey's values are decoded, and queryParams has all of the values
+// for every key. Note that default ports like :80 for http are left out.
+//
+// With opts.compat, or for strings that don't start with "scheme://"
+// (or where there is no URL), this falls back to the old parser.
+function parseUri(str, opts) {
+  if ((opts && opts.compat) || typeof URL === "undefined" ||
+      !/^[a-z][a-z0-9+.-]*:\/\//i.test(str)) {
+    return parseUriLegacy(str);
+  }
+  let url;
+  try {
+    url = new URL(str);
+  } catch (err) {
+    return parseUriLegacy(str);
+  }
+
+  let userInfo = url.username + (url.password ? `:${  url.password}` : "");
+  let path = url.pathname;
+  let fileStart = path.lastIndexOf("/") + 1;
+  let uri = {
+    source: str,
+    protocol: url.protocol.slice(0, -1),
+    authority: (userInfo ? `${userInfo  }@` : "") + url.host,
+    userInfo: userInfo,
+    user: safeDecode(url.username),
+    password: safeDecode(url.password),
+    host: url.hostname,
+    port: url.port,
+    relative: path + url.search + url.hash,
+    path: path,
+    directory: path.slice(0, fileStart),
+    file: path.slice(fileStart),
+    query: url.search.slice(1),
+    anchor: url.hash.slice(1),
+  };
+
+  uri[qName] = {};
+  uri.queryParams = {};
+  url.searchParams.forEach(function (value, key) {
+    if (!key) {
+      return;
+    }
+    uri[qName][key] = value;
+    if (!Object.prototype.hasOwnProperty.call(uri.queryParams, key)) {
+      uri.queryParams[key] = [];
+    }
+    uri.queryParams[key].push(value);
+  });
+
+  return uri;
+}
+
+// The inverse of parseUri(), building a URL from its protocol, user,
+// password, host, port, path, query and anchor. User and password are
+// encoded, the path is used as is, and the query can also be given as
+// queryParams, an object of values or arrays of values to encode.
+function formatUri(parts) {
+  let str = `${parts.protocol || "http"  }://`;
+  if (parts.user || parts.password) {
+    str += encodeURIComponent(parts.user || "");
+    if (parts.password) {
+      str += `:${  encodeURIComponent(parts.password)}`;
+    }
+    str += "@";
+  }
+  let host = parts.host || "";
+  if (host.indexOf(":") !== -1 && host.charAt(0) !== "[") {
+    host = `[${  host  }]`; // IPv6
+  }
+  str += host;
+  if (parts.port) {
+    str += `:${  parts.port}`;
+  }
+  let path = parts.path || "";
+  if (path && path.charAt(0) !== "/") {
+    path = `/${  path}`;
+  }
+  str += path;
+
+  let query = parts.query;
+  if (!query && parts.queryParams) {
+    query = Object.keys(parts.queryParams).map(function (key) {
+      return [].concat(parts.queryParams[key]).map(function (value) {
+        return `${encodeURIComponent(key)  }=${  encodeURIComponent(value)}`;
+      }).join("&");
+    }).filter(identityFunction).join("&");
+  }
+  if (query) {
+    str += `?${  query}`;
+  }
+  if (parts.anchor) {
+    str += `#${  parts.anchor}`;
+  }
+  return str;
+}
+
+// design doc and local doc ids keep their prefix's slash, like CouchDB
+// expects, everything else is encoded, "/" and "+" included
+function encodePathSegment(segment) {
+  let match = /^(_design|_local)\/(.+)$/.exec(segment);
+  if (match) {
+    return `${match[1]  }/${  encodeURIComponent(match[2])}`;
+  }
+  return encodeURIComponent(segment);
+}
+
+// joinDbPath('http://host:5984/prefix/', 'my/db', '_design/app', '_view',
+// 'by name') gives 'http://host:5984/prefix/my%2Fdb/_design/app/_view/by%20name'
+function joinDbPath(base, dbName) {
+  let segments = Array.prototype.slice.call(arguments, 1);
+  return `${base.replace(/\/+$/, "")  }/${
+    segments.map(encodePathSegment).join("/")}`;
+}
+
+// scheme:// followed by user info, up to its last "@" before the path
+let credentialsRegex = /\b([a-z][a-z0-9+.-]*:\/\/)[^\/?#\s]*@/gi;
+
+// Masks the user and password of any URLs in str as "***:***", or
+// leaves them out altogether with opts.strip.
+function redactUri(str, opts) {
+  if (typeof str !== "string") {
+    return str;
+  }
+  let strip = opts && opts.strip;
+  return str.replace(credentialsRegex, function (match, scheme) {
+    return scheme + (strip ? "" : "***:***@");
+  });
+}
+
+let logRedactor = redactUri;
+
+// Decides what happens to URL credentials in strings logged through
+// guardedConsole() and the debug events of adapterFun(): true masks them
+// with redactUri() (the default), false logs them as they are, and a
+// function(str) can redact them any other way.
+function setLogRedaction(redact) {
+  if (typeof redact === "function") {
+    logRedactor = redact;
+  } else {
+    logRedactor = redact ? redactUri : null;
+  }
+}
+
+// Strings anywhere in plain objects, arrays and errors are redacted,
+// other objects are left as they are. Objects are only copied when
+// something in them is redacted, so huge docs don't get copied for
+// nothing, and never modified.
+function redactLogValue(value, parents) {
+  if (typeof value === "string") {
+    return logRedactor(value);
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  let isError = value instanceof Error;
+  let isArray = Array.isArray(value);
+  if ((!isError && !isArray && !isPlainObject(value)) ||
+      parents.indexOf(value) !== -1) {
+    return value;
+  }
+  parents.push(value);
+  // an error's message and stack aren't enumerable
+  let keys = isError ? Object.getOwnPropertyNames(value) : Object.keys(value);
+  let redacted = {};
+  let changed = false;
+  keys.forEach(function (key) {
+    let newValue = redactLogValue(value[key], parents);
+    if (newValue !== value[key]) {
+      redacted[key] = newValue;
+      changed = true;
+    }
+  });
+  parents.pop();
+  if (!changed) {
+    return value;
+  }
+  let copy = isArray ? [] : Object.create(Object.getPrototypeOf(value));
+  keys.forEach(function (key) {
+    copy[key] = key in redacted ? redacted[key] : value[key];
+  });
+  return copy;
+}
+
+// what to log instead of value, see setLogRedaction()
+function redactForLog(value) {
+  return logRedactor ? redactLogValue(value, []) : value;
+}
+
 // Based on https://github.com/alexdavid/scope-eval v0.0.3
 // (source: https://unpkg.com/scope-eval@0.0.3/scope_eval.js)
 // This is basically just a wrapper around new Function()
@@ -695,10 +2708,178 @@ function scopeEval(source, scope) {
   return Function.apply(null, keys).apply(null, values);
 }
 
+// the helpers CouchDB's query server gives design doc functions, which
+// are evaluated in sloppy mode like CouchDB does
+function designDocScope(emit) {
+  let scope = {
+    log: function () {
+      let args = Array.prototype.slice.call(arguments);
+      guardedConsole.apply(null, ["log"].concat(args));
+    },
+    sum: function (values) {
+      let total = 0;
+      for (let i = 0; i < values.length; i++) {
+        total += values[i];
+      }
+      return total;
+    },
+    isArray: Array.isArray,
+    toJSON: JSON.stringify,
+  };
+  if (emit) {
+    scope.emit = emit;
+  }
+  return scope;
+}
+
+// the newline keeps a trailing // comment from swallowing the ");"
+function evalFilter(source) {
+  return scopeEval(`return (${  source.replace(/;\s*$/, "")  }\n);`,
+                   designDocScope());
+}
+
+// a view's map function used as a filter, passing docs it emits for
+function evalView(source) {
+  let emitted = false;
+  let view = scopeEval(`return (${  source.replace(/;\s*$/, "")  }\n);`,
+                       designDocScope(function () {
+                         emitted = true;
+                       }));
+  return function (doc) {
+    emitted = false;
+    view(doc);
+    if (emitted) {
+      return true;
+    }
+  };
+}
+
+function filterNameError(isView) {
+  return createError(BAD_REQUEST, isView ?
+    "`view` filter parameter not found or invalid." :
+    "`filter` filter parameter invalid.");
+}
+
+// by the design doc's _id and the function's name, with the _rev of the
+// design doc it was compiled from
+let ddocFilterCache = new Map();
+
+// Compiles the filter named by opts.filter ('ddoc/name', or '_view' with
+// opts.view being 'ddoc/view') from ddoc, the way CouchDB would for a
+// changes feed. Compiled functions are reused until the ddoc's _rev changes.
+function compileDdocFilter(ddoc, opts) {
+  let isView = opts.filter === "_view";
+  let name = parseDesignDocFunctionName(isView ? opts.view : opts.filter);
+  if (!name) {
+    throw filterNameError(isView);
+  }
+  let functions = isView ? ddoc.views : ddoc.filters;
+  let source = functions && functions[name[1]];
+  if (isView && source) {
+    source = source.map;
+  }
+  if (typeof source !== "string") {
+    let missingKey = functions ? name[1] : isView ? "views" : "filters";
+    throw createError(MISSING_DOC,
+                      `missing json key: ${  missingKey}`);
+  }
+
+  let key = `${ddoc._id  }/${  isView ? "_view/" : ""  }${name[1]}`;
+  let cached = ddocFilterCache.get(key);
+  if (cached && cached.rev === ddoc._rev && cached.source === source) {
+    return cached.filter;
+  }
+  let filter;
+  try {
+    filter = isView ? evalView(source) : evalFilter(source);
+  } catch (err) {
+    throw createError(BAD_REQUEST,
+                      `Could not compile ${  isView ? "view " : "filter "  }${name.join("/")
+                      }: ${  err.message}`);
+  }
+  if (typeof filter !== "function") {
+    throw createError(BAD_REQUEST,
+                      `${(isView ? "View " : "Filter ") + name.join("/")  } is not a function`);
+  }
+  ddocFilterCache.set(key, {rev: ddoc._rev, source: source, filter: filter});
+  return filter;
+}
+
+// Fetches the design doc opts.filter refers to from db and sets opts.filter
+// to the compiled function, so filterChange(opts) can use it. Resolves
+// with opts, unchanged if opts.filter isn't the name of a design doc
+// function, e.g. when it already is a function or a built-in filter like
+// _doc_ids.
+function resolveDdocFilter(db, opts) {
+  let isView = opts.filter === "_view";
+  if (typeof opts.filter !== "string" ||
+      (!isView && opts.filter.charAt(0) === "_")) {
+    return Promise.resolve(opts);
+  }
+  let name = parseDesignDocFunctionName(isView ? opts.view : opts.filter);
+  if (!name) {
+    return Promise.reject(filterNameError(isView));
+  }
+  return db.get(`_design/${  name[0]}`).then(function (ddoc) {
+    opts.filter = compileDdocFilter(ddoc, opts);
+    return opts;
+  });
+}
+
+let UPSERT_MAX_RETRIES = 10;
+
+// conflicts on a local db clear up quickly, so start small
+let UPSERT_BACK_OFF = {base: 10, cap: 1000};
+
 // this is essentially the "update sugar" function from daleharvey/pouchdb#1388
 // the diffFun tells us what delta to apply to the doc.  it either returns
 // the doc, or false if it doesn't need to do an update after all
-function upsert(db, docId, diffFun) {
+//
+// On a conflict it starts over, up to opts.maxRetries times (10 by
+// default), waiting for opts.backOff in between, which defaults to a short
+// jittered exponential back off. opts.onConflict(err, info) is called
+// before each of those retries, like retry()'s onRetry. When out of retries
+// or opts.backOff is exhausted, it fails with a conflict error that has
+// maxRetriesReached set. opts.putOpts are passed on to db.put() and
+// opts.signal stops retrying when aborted. Resolves with {updated, rev,
+// doc, attempts}, doc being the doc as saved, or as it was when not
+// updated (null if it doesn't exist).
+function upsert(db, docId, diffFun, opts) {
+  opts = opts || {};
+  let maxRetries = typeof opts.maxRetries === "number" ?
+    opts.maxRetries : UPSERT_MAX_RETRIES;
+  let attempts = 0;
+  return retry(function (attempt) {
+    attempts = attempt;
+    return tryUpsert(db, docId, diffFun, opts.putOpts);
+  }, {
+    maxAttempts: maxRetries + 1,
+    backOff: opts.backOff || createBackOff("full_jitter", UPSERT_BACK_OFF),
+    signal: opts.signal,
+    shouldRetry: function (err) {
+      return !!err && err.status === 409;
+    },
+    onRetry: opts.onConflict,
+  }).then(function (res) {
+    res.attempts = attempts;
+    return res;
+  }, function (err) {
+    // conflicts are always retried, so this one is the last that
+    // opts.maxRetries or opts.backOff allowed for
+    if (!err || err.status !== 409) {
+      throw err;
+    }
+    let error = createError(REV_CONFLICT,
+                            `upsert() of ${  docId  } gave up after ${  attempts  } attempts`);
+    error.id = docId;
+    error.maxRetriesReached = true;
+    error.attempts = attempts;
+    error.cause = err;
+    throw error;
+  });
+}
+
+function tryUpsert(db, docId, diffFun, putOpts) {
   return db.get(docId)
     .catch(function (err) {
       /* istanbul ignore next */
@@ -715,46 +2896,340 @@ function upsert(db, docId, diffFun) {
       if (!newDoc) {
         // if the diffFun returns falsy, we short-circuit as
         // an optimization
-        return {updated: false, rev: docRev};
+        return {updated: false, rev: docRev, doc: docRev ? doc : null};
       }
 
       // users aren't allowed to modify these values,
       // so reset them here
       newDoc._id = docId;
       newDoc._rev = docRev;
-      return tryAndPut(db, newDoc, diffFun);
+      return tryAndPut(db, newDoc, putOpts);
     });
 }
 
-function tryAndPut(db, doc, diffFun) {
-  return db.put(doc).then(function (res) {
+// conflicts are left to upsert() to retry
+function tryAndPut(db, doc, putOpts) {
+  let put = putOpts ? db.put(doc, putOpts) : db.put(doc);
+  return put.then(function (res) {
     return {
       updated: true,
       rev: res.rev,
+      doc: assign$2({}, doc, {_rev: res.rev}),
     };
-  }, function (err) {
-    /* istanbul ignore next */
-    if (err.status !== 409) {
-      throw err;
+  });
+}
+
+/**
+ * Serializes a value to JSON in a canonical form, so that equal values
+ * always give the same string: object keys are sorted, strings (including
+ * keys) are NFC-normalized and non-finite numbers become null, much like
+ * RFC 8785. Numbers are formatted the way ECMAScript specifies, so they
+ * are the same across engines already.
+ */
+function canonicalJSON(value) {
+  if (value && typeof value.toJSON === "function") {
+    value = value.toJSON();
+  }
+  if (value === null) {
+    return "null";
+  }
+  switch (typeof value) {
+  case "string":
+    return JSON.stringify(value.normalize("NFC"));
+  case "number":
+    return isFinite(value) ? JSON.stringify(value) : "null";
+  case "boolean":
+    return String(value);
+  case "object":
+    break;
+  default:
+    return undefined; // skipped, like JSON.stringify() does
+  }
+  if (Array.isArray(value)) {
+    return `[${  value.map(function (item) {
+      let json = canonicalJSON(item);
+      return json === undefined ? "null" : json;
+    }).join(",")  }]`;
+  }
+  let normalized = {};
+  Object.keys(value).forEach(function (key) {
+    normalized[key.normalize("NFC")] = value[key];
+  });
+  let members = [];
+  Object.keys(normalized).sort().forEach(function (key) {
+    let json = canonicalJSON(normalized[key]);
+    if (json !== undefined) {
+      members.push(`${JSON.stringify(key)  }:${  json}`);
     }
-    return upsert(db, doc._id, diffFun);
   });
+  return `{${  members.join(",")  }}`;
 }
 
 /**
  * Creates a new revision string that does NOT include the revision height
  * For example '56649f1b0506c6ca9fda0746eb0cacdf'
+ *
+ * deterministic_revs picks the algorithm used for deterministic revs:
+ * true or 1 hashes the doc as JSON.stringify() sees it, while 2 hashes
+ * its canonicalJSON(), so equal docs get equal revs whatever their
+ * key order.
  */
 function rev(doc, deterministic_revs) {
   if (!deterministic_revs) {
     return v4().replace(/-/g, "").toLowerCase();
   }
+  if (typeof deterministic_revs === "number" &&
+      deterministic_revs !== 1 && deterministic_revs !== 2) {
+    throw createError(BAD_ARG,
+                      `Unknown deterministic_revs version: ${  deterministic_revs}`);
+  }
 
   let mutateableDoc = assign({}, doc);
   delete mutateableDoc._rev_tree;
+  if (deterministic_revs === 2) {
+    return stringMd5(canonicalJSON(mutateableDoc));
+  }
   return stringMd5(JSON.stringify(mutateableDoc));
 }
 
-let uuid = v4; // mimic old import, only v4 is ever used elsewhere
+function invalidRevError(rev) {
+  return createError(INVALID_REV,
+                     `Invalid rev format: ${  JSON.stringify(rev)}`);
+}
+
+/**
+ * Splits a revision string like '2-56649f1b0506c6ca9fda0746eb0cacdf'
+ * into {pos: 2, hash: '56649f1b0506c6ca9fda0746eb0cacdf'}
+ */
+function parseRev(rev) {
+  if (typeof rev !== "string" || !revRegex.test(rev)) {
+    throw invalidRevError(rev);
+  }
+  let idx = rev.indexOf("-");
+  return {
+    pos: parseInt(rev.substring(0, idx), 10),
+    hash: rev.substring(idx + 1),
+  };
+}
+
+/**
+ * The inverse of parseRev(), takes either {pos, hash} or pos and hash
+ */
+function formatRev(pos, hash) {
+  if (pos && typeof pos === "object") {
+    hash = pos.hash;
+    pos = pos.pos;
+  }
+  let rev = `${pos  }-${  hash}`;
+  if (typeof pos !== "number" || pos < 0 || pos % 1 !== 0 ||
+      !revRegex.test(rev)) {
+    throw invalidRevError(rev);
+  }
+  return rev;
+}
+
+/**
+ * Sorts revisions the way CouchDB picks the winning one: the longest
+ * revision history wins, and on a tie the highest hash does. Returns
+ * a positive number if a wins over b, so sorting with it puts the
+ * winner last. Note that CouchDB prefers non-deleted leafs over all
+ * of this, which can't be told from the revs alone.
+ */
+function compareRevs(a, b) {
+  let revA = parseRev(a);
+  let revB = parseRev(b);
+  if (revA.pos !== revB.pos) {
+    return revA.pos - revB.pos;
+  }
+  return revA.hash < revB.hash ? -1 : (revA.hash > revB.hash ? 1 : 0);
+}
+
+/**
+ * Creates the full revision string the doc should get when it is saved,
+ * based on its current _rev, e.g. '3-...' for a doc at '2-...'. Takes
+ * the same deterministic_revs as rev().
+ */
+function nextRev(doc, deterministic_revs) {
+  let pos = "_rev" in doc ? parseRev(doc._rev).pos : 0;
+  return formatRev(pos + 1, rev(doc, deterministic_revs));
+}
+
+// the ids PouchDB itself generates come from here, so they follow
+// setDefaultIdGenerator() (random v4 UUIDs unless that's changed)
+let uuid = function () {
+  return generateId();
+};
+
+function randomBytes(length) {
+  let bytes = new Uint8Array(length);
+  /* istanbul ignore else */
+  if (typeof crypto !== "undefined" && typeof crypto.getRandomValues === "function") {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  return bytes;
+}
+
+function toHex(bytes) {
+  let hex = "";
+  for (let i = 0; i < bytes.length; i++) {
+    hex += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+  }
+  return hex;
+}
+
+function randomHex(length) {
+  return toHex(randomBytes(Math.ceil(length / 2))).slice(0, length);
+}
+
+function padHex(num, length) {
+  let hex = num.toString(16);
+  while (hex.length < length) {
+    hex = `0${  hex}`;
+  }
+  return hex;
+}
+
+// UUIDv7 as per RFC 9562: a 48 bit millisecond timestamp followed by a
+// 12 bit counter (so ids from the same millisecond still sort in
+// creation order) and 62 random bits
+function createUuid7Generator() {
+  let lastTime = -1;
+  let counter = 0;
+  return function () {
+    let time = Date.now();
+    if (time <= lastTime) {
+      time = lastTime;
+      if (++counter > 0xfff) {
+        // borrow from the next millisecond rather than going backwards
+        time++;
+        counter = 0;
+      }
+    } else {
+      // leave some room to count up in
+      counter = randomBytes(1)[0] << 3;
+    }
+    lastTime = time;
+
+    let bytes = randomBytes(16);
+    for (let i = 5; i >= 0; i--) {
+      bytes[i] = time % 256;
+      time = Math.floor(time / 256);
+    }
+    bytes[6] = 0x70 | (counter >> 8);
+    bytes[7] = counter & 0xff;
+    bytes[8] = 0x80 | (bytes[8] & 0x3f);
+    let hex = toHex(bytes);
+    return `${hex.slice(0, 8)  }-${  hex.slice(8, 12)  }-${  hex.slice(12, 16)
+    }-${  hex.slice(16, 20)  }-${  hex.slice(20)}`;
+  };
+}
+
+// Crockford's base32, as used by ULIDs
+let ULID_ENCODING = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+// ULIDs (https://github.com/ulid/spec): 10 characters of millisecond
+// timestamp and 16 of randomness, which is incremented instead of
+// regenerated within the same millisecond to keep ids sorted
+function createUlidGenerator() {
+  let lastTime = -1;
+  let lastRandom;
+  return function () {
+    let time = Date.now();
+    let random;
+    let i;
+    if (time <= lastTime) {
+      time = lastTime;
+      random = lastRandom.slice();
+      for (i = random.length - 1; i >= 0 && random[i] === 31; i--) {
+        random[i] = 0;
+      }
+      /* istanbul ignore if */
+      if (i < 0) {
+        // all 80 bits used up within a millisecond, move on to the next
+        time++;
+      } else {
+        random[i]++;
+      }
+    } else {
+      random = Array.prototype.map.call(randomBytes(16), function (byte) {
+        return byte & 31;
+      });
+    }
+    lastTime = time;
+    lastRandom = random;
+
+    let id = "";
+    for (i = 0; i < 10; i++) {
+      id = ULID_ENCODING[time % 32] + id;
+      time = Math.floor(time / 32);
+    }
+    return id + random.map(function (digit) {
+      return ULID_ENCODING[digit];
+    }).join("");
+  };
+}
+
+// CouchDB's "sequential" algorithm: a random 26 hex character prefix and
+// a 6 hex character suffix that grows by a random amount on every call,
+// with a new prefix whenever the suffix overflows
+function createSequentialGenerator() {
+  let prefix = randomHex(26);
+  let suffix = 1 + Math.floor(Math.random() * 0xffe);
+  return function () {
+    suffix += 1 + Math.floor(Math.random() * 0xffe);
+    if (suffix > 0xffffff) {
+      prefix = randomHex(26);
+      suffix = 1 + Math.floor(Math.random() * 0xffe);
+    }
+    return prefix + padHex(suffix, 6);
+  };
+}
+
+// CouchDB's "utc_random" algorithm: the time since the epoch in
+// microseconds as 14 hex characters, followed by 18 random ones
+function utcRandom() {
+  return padHex(Date.now() * 1000, 14) + randomHex(18);
+}
+
+let idGenerators = {
+  uuid4: v4,
+  uuid7: createUuid7Generator(),
+  ulid: createUlidGenerator(),
+  sequential: createSequentialGenerator(),
+  utc_random: utcRandom,
+};
+let defaultIdGenerator = "uuid4";
+
+function getIdGenerator(name) {
+  if (!Object.prototype.hasOwnProperty.call(idGenerators, name)) {
+    throw createError(BAD_ARG,
+                      `Unknown id generator: ${  name}`);
+  }
+  return idGenerators[name];
+}
+
+// Makes a custom generator available under the given name, or replaces
+// one of the built-in ones: uuid4, uuid7, ulid, sequential and utc_random
+function registerIdGenerator(name, generator) {
+  if (typeof generator !== "function") {
+    throw createError(BAD_ARG,
+                      "An id generator must be a function");
+  }
+  idGenerators[name] = generator;
+}
+
+// Picks the generator used by generateId() when called without a name
+function setDefaultIdGenerator(name) {
+  getIdGenerator(name);
+  defaultIdGenerator = name;
+}
+
+function generateId(name) {
+  return getIdGenerator(name || defaultIdGenerator)();
+}
 
-export { adapterFun, assign$2 as assign, bulkGet as bulkGetShim, Changes as changesHandler, clone, defaultBackOff, explainError, filterChange, flatten, res$1 as functionName, guardedConsole, hasLocalStorage, invalidIdError, isRemote, listenerCount, immediate as nextTick, normalizeDesignDocFunctionName as normalizeDdocFunctionName, once, parseDesignDocFunctionName as parseDdocFunctionName, parseUri, pick, rev, scopeEval, toPromise, upsert, uuid };
+export { adapterFun, assign$2 as assign, broadcastChangesTransport, bulkGet as bulkGetShim, bulkGetStream as bulkGetShimStream, canonicalJSON, Changes as changesHandler, clone, compareRevs, compileDdocFilter, createBackOff, defaultBackOff, explainError, filterChange, flatten, formatRev, formatUri, res$1 as functionName, generateId, guardedConsole, hasLocalStorage, invalidIdError, isBackOffExhausted, isRemote, joinDbPath, listenerCount, nextRev, immediate as nextTick, normalizeDesignDocFunctionName as normalizeDdocFunctionName, once, parseDesignDocFunctionName as parseDdocFunctionName, parseRev, parseUri, pick, redactUri, registerIdGenerator, resolveDdocFilter, retry, rev, scopeEval, setCloneOptions, setDefaultIdGenerator, setLogRedaction, setTracer, toPromise, upsert, uuid, validateDoc };
@@ -56,25 +56,245 @@ function isPlainObject(value) {
   if (proto === null) { // not sure when this happens, but I guess it can
     return true;
   }
+  // fast path for the common case, objects from other realms
+  // still go through the check below
+  if (proto === Object.prototype) {
+    return true;
+  }
   var Ctor = proto.constructor;
   return (typeof Ctor == 'function' &&
     Ctor instanceof Ctor && funcToString.call(Ctor) == objectCtorString);
 }
 
-function clone(object) {
+// How clone() treats values that have no JSON equivalent. Each of these
+// can be 'reference' (return them as they are), 'copy' (deep-copy them),
+// 'json' (turn them into JSON-safe values) or 'reject' (throw).
+var CLONE_DEFAULTS = {
+  // 'throw' or 'preserve', in which case the copy has the same cycles
+  cycles: 'throw',
+  // with 'json', a Map becomes an object and a Set an array
+  map: 'reference',
+  set: 'reference',
+  // and typed arrays or DataViews become arrays of numbers
+  typedArray: 'reference',
+  // RegExps and BigInts become strings
+  regexp: 'reference',
+  bigint: 'reference',
+  // anything else that isn't a plain object, using its toJSON() if any
+  instance: 'reference'
+};
+
+function cloneError(reason) {
+  return pouchdbErrors.createError(pouchdbErrors.BAD_REQUEST, reason);
+}
+
+function findKey(parent, child) {
+  var found = '?'; // e.g. inside a Set
+  if (typeTag(parent) === 'Map') {
+    parent.forEach(function (value, key) {
+      if (value === child) {
+        found = String(key);
+      }
+    });
+    return found;
+  }
+  var keys = Object.keys(parent);
+  for (var i = 0, len = keys.length; i < len; i++) {
+    if (parent[keys[i]] === child) {
+      return keys[i];
+    }
+  }
+  return found;
+}
+
+function cycleError(parents, object) {
+  var chain = parents.concat([object]);
+  var path = [];
+  for (var i = 1; i < chain.length; i++) {
+    path.push(findKey(chain[i - 1], chain[i]));
+  }
+  return cloneError('Cannot clone a cyclic structure, the value at ' +
+    path.join('.') + ' refers back to one of its parents');
+}
+
+function typeTag(object) {
+  return Object.prototype.toString.call(object).slice(8, -1);
+}
+
+function cloneSpecial(kind, object, opts, copy, toJSON) {
+  switch (opts[kind]) {
+    case 'copy':
+      return copy();
+    case 'json':
+      return toJSON();
+    case 'reject':
+      throw cloneError('Cannot clone ' + typeTag(object) +
+        ' values (' + kind + ': \'reject\')');
+    default:
+      return object;
+  }
+}
+
+// Cycles are rare, so we only keep track of the objects we are inside of
+// (and their copies) when we need to preserve cycles, or once we are
+// suspiciously deep into the structure, at which point we start over.
+var MAX_UNTRACKED_DEPTH = 100;
+var TOO_DEEP = {};
+
+function enterObject(state, object, newObject) {
+  if (!state.parents) {
+    if (++state.depth > MAX_UNTRACKED_DEPTH) {
+      throw TOO_DEEP;
+    }
+    return;
+  }
+  state.parents.push(object);
+  state.copies.push(newObject);
+}
+
+function leaveObject(state) {
+  if (!state.parents) {
+    state.depth--;
+    return;
+  }
+  state.parents.pop();
+  state.copies.pop();
+}
+
+function cloneInto(object, newObject, state, fill) {
+  enterObject(state, object, newObject);
+  fill();
+  leaveObject(state);
+  return newObject;
+}
+
+function cloneNonPlain(object, state) {
+  function cloneChild(value) {
+    return cloneValue(value, state);
+  }
+  var tag = typeTag(object);
+
+  if (tag === 'Map') {
+    return cloneSpecial('map', object, state.opts, function () {
+      var newObject = new object.constructor();
+      return cloneInto(object, newObject, state, function () {
+        object.forEach(function (value, key) {
+          newObject.set(cloneChild(key), cloneChild(value));
+        });
+      });
+    }, function () {
+      var newObject = {};
+      return cloneInto(object, newObject, state, function () {
+        object.forEach(function (value, key) {
+          value = cloneChild(value);
+          if (typeof value !== 'undefined') {
+            newObject[String(key)] = value;
+          }
+        });
+      });
+    });
+  }
+
+  if (tag === 'Set') {
+    return cloneSpecial('set', object, state.opts, function () {
+      var newObject = new object.constructor();
+      return cloneInto(object, newObject, state, function () {
+        object.forEach(function (value) {
+          newObject.add(cloneChild(value));
+        });
+      });
+    }, function () {
+      var newObject = [];
+      return cloneInto(object, newObject, state, function () {
+        object.forEach(function (value) {
+          newObject.push(cloneChild(value));
+        });
+      });
+    });
+  }
+
+  if (typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(object)) {
+    return cloneSpecial('typedArray', object, state.opts, function () {
+      return new object.constructor(object.buffer.slice(object.byteOffset,
+        object.byteOffset + object.byteLength));
+    }, function () {
+      if (tag === 'DataView') {
+        object = new Uint8Array(object.buffer, object.byteOffset,
+          object.byteLength);
+      }
+      // BigInt64Array elements go through the bigint option
+      return cloneChild(Array.prototype.slice.call(object));
+    });
+  }
+
+  if (tag === 'RegExp') {
+    return cloneSpecial('regexp', object, state.opts, function () {
+      return new RegExp(object.source, object.flags);
+    }, function () {
+      return String(object);
+    });
+  }
+
+  return cloneSpecial('instance', object, state.opts, function () {
+    var newObject = Object.create(Object.getPrototypeOf(object));
+    return cloneInto(object, newObject, state, function () {
+      cloneProperties(object, newObject, state);
+    });
+  }, function () {
+    if (typeof object.toJSON === 'function') {
+      return cloneChild(object.toJSON());
+    }
+    var newObject = {};
+    return cloneInto(object, newObject, state, function () {
+      cloneProperties(object, newObject, state);
+    });
+  });
+}
+
+// Object.keys() is considerably faster than for..in + hasOwnProperty()
+// on the large payloads we get from bulkDocs()
+function cloneProperties(object, newObject, state) {
+  var keys = Object.keys(object);
+  for (var i = 0, len = keys.length; i < len; i++) {
+    var value = cloneValue(object[keys[i]], state);
+    if (typeof value !== 'undefined') {
+      newObject[keys[i]] = value;
+    }
+  }
+}
+
+function cloneValue(object, state) {
   var newObject;
   var i;
   var len;
 
+  if (typeof object === 'bigint') {
+    return cloneSpecial('bigint', object, state.opts, function () {
+      return object;
+    }, function () {
+      return String(object);
+    });
+  }
+
   if (!object || typeof object !== 'object') {
     return object;
   }
 
+  var idx = state.parents ? state.parents.indexOf(object) : -1;
+  if (idx !== -1) {
+    if (state.opts.cycles === 'preserve') {
+      return state.copies[idx];
+    }
+    throw cycleError(state.parents, object);
+  }
+
   if (Array.isArray(object)) {
     newObject = [];
+    enterObject(state, object, newObject);
     for (i = 0, len = object.length; i < len; i++) {
-      newObject[i] = clone(object[i]);
+      newObject[i] = cloneValue(object[i], state);
     }
+    leaveObject(state);
     return newObject;
   }
 
@@ -89,20 +309,38 @@ function clone(object) {
   }
 
   if (!isPlainObject(object)) {
-    return object; // don't clone objects like Workers
+    // by default, don't clone objects like Workers
+    return cloneNonPlain(object, state);
   }
 
   newObject = {};
-  for (i in object) {
-    /* istanbul ignore else */
-    if (Object.prototype.hasOwnProperty.call(object, i)) {
-      var value = clone(object[i]);
-      if (typeof value !== 'undefined') {
-        newObject[i] = value;
-      }
+  enterObject(state, object, newObject);
+  cloneProperties(object, newObject, state);
+  leaveObject(state);
+  return newObject;
+}
+
+function cloneState(opts, tracked) {
+  return {
+    opts: opts,
+    depth: 0,
+    parents: tracked ? [] : null,
+    copies: tracked ? [] : null
+  };
+}
+
+// opts are described in CLONE_DEFAULTS
+function clone(object, opts) {
+  opts = opts ? assign$1({}, CLONE_DEFAULTS, opts) : CLONE_DEFAULTS;
+  var tracked = opts.cycles === 'preserve';
+  try {
+    return cloneValue(object, cloneState(opts, tracked));
+  } catch (err) {
+    if (err !== TOO_DEEP) {
+      throw err;
     }
+    return cloneValue(object, cloneState(opts, true));
   }
-  return newObject;
 }
 
 function once(fun) {
@@ -119,17 +357,59 @@ function once(fun) {
   };
 }
 
-function toPromise(func) {
+// the clone() options for the arguments of toPromise() functions,
+// see setCloneOptions()
+var argsCloneOpts = null;
+
+// Sets the options (see CLONE_DEFAULTS) clone() uses for the defensive
+// copy of the arguments to toPromise() functions, such as all of the
+// adapter's methods, e.g. {map: 'copy'} to store a copy of any Map
+// rather than the caller's own. Pass null to go back to the defaults.
+function setCloneOptions(opts) {
+  argsCloneOpts = opts || null;
+}
+
+// The clone() options for a call's arguments. Callers can pass them as
+// {clone: {...}} in the options, i.e. the last argument before the
+// callback, and those who promise not to touch their arguments until the
+// call is done can skip the defensive copy by passing {clone: false},
+// in which case this returns false. A first argument only counts as
+// options when we know the method's name and it isn't one that takes a
+// doc, which could have a clone field itself.
+function getCloneOpts(args, name) {
+  var i = args.length - 1;
+  if (typeof args[i] === 'function') {
+    i--;
+  }
+  var opts = args[i];
+  if ((i === 0 && (!name || takesDocFirst(name))) ||
+      !opts || typeof opts !== 'object') {
+    return argsCloneOpts;
+  }
+  if (opts.clone === false) {
+    return false;
+  }
+  if (opts.clone && typeof opts.clone === 'object') {
+    return assign$1({}, argsCloneOpts, opts.clone);
+  }
+  return argsCloneOpts;
+}
+
+// name is the name of the method, if known, see getCloneOpts()
+function toPromise(func, name) {
   //create the function we will be returning
   return function (...args) {
-    // Clone arguments
-    args = clone(args);
     var self = this;
     // if the last argument is a function, assume its a callback
     var usedCB = (typeof args[args.length - 1] === 'function') ? args.pop() : false;
     var promise = new Promise(function (fulfill, reject) {
       var resp;
       try {
+        // Clone arguments, in here so that clone() errors reject
+        var cloneOpts = getCloneOpts(args, name);
+        if (cloneOpts !== false) {
+          args = clone(args, cloneOpts);
+        }
         var callback = once(function (err, mesg) {
           if (err) {
             reject(err);
@@ -165,7 +445,7 @@ function logApiCall(self, name, args) {
     for (var i = 0; i < args.length - 1; i++) {
       logArgs.push(args[i]);
     }
-    self.constructor.emit('debug', logArgs);
+    self.constructor.emit('debug', redactForLog(logArgs));
 
     // override the callback itself to log the response
     var origCallback = args[args.length - 1];
@@ -174,12 +454,302 @@ function logApiCall(self, name, args) {
       responseArgs = responseArgs.concat(
         err ? ['error', err] : ['success', res]
       );
-      self.constructor.emit('debug', responseArgs);
+      self.constructor.emit('debug', redactForLog(responseArgs));
       origCallback(err, res);
     };
   }
 }
 
+// an OpenTelemetry-style tracer, see setTracer()
+var tracer = null;
+
+// OpenTelemetry's SpanStatusCode.OK and SpanStatusCode.ERROR
+var SPAN_STATUS_OK = 1;
+var SPAN_STATUS_ERROR = 2;
+
+// Spans for every adapterFun call are reported to the given tracer,
+// which needs an OpenTelemetry-like startSpan(name, {startTime, attributes})
+// returning spans with setStatus(), end() and optionally recordException().
+// Pass null to stop tracing.
+function setTracer(newTracer) {
+  tracer = newTracer || null;
+}
+
+// docs can be huge, so only describe their shape
+function summarizeArg(arg) {
+  if (Array.isArray(arg)) {
+    return 'Array(' + arg.length + ')';
+  }
+  if (arg && typeof arg === 'object') {
+    var keys = Object.keys(arg);
+    return '{' + keys.slice(0, 10).join(', ') + (keys.length > 10 ? ', ...' : '') + '}';
+  }
+  return String(arg).slice(0, 100);
+}
+
+function traceApiCall(self, name, args) {
+  var emitSpans = self.constructor.listeners('span').length;
+  /* istanbul ignore if */
+  if (!tracer && !emitSpans) {
+    return;
+  }
+  var argSummary = [];
+  for (var i = 0; i < args.length - 1; i++) {
+    argSummary.push(summarizeArg(args[i]));
+  }
+  argSummary = redactForLog(argSummary);
+  // self.name is the URL for remote dbs, credentials and all
+  var dbName = redactForLog(self.name);
+  var startTime = Date.now();
+  var span = tracer && tracer.startSpan('pouchdb.' + name, {
+    startTime: startTime,
+    attributes: {
+      'db.system': 'pouchdb',
+      'db.name': dbName,
+      'db.operation': name,
+      'pouchdb.args': argSummary
+    }
+  });
+
+  // override the callback itself to end the span
+  var origCallback = args[args.length - 1];
+  args[args.length - 1] = function (err, res) {
+    var endTime = Date.now();
+    var loggedErr = err && redactForLog(err);
+    if (span) {
+      if (err) {
+        if (typeof span.recordException === 'function') {
+          span.recordException(loggedErr);
+        }
+        span.setStatus({code: SPAN_STATUS_ERROR, message: loggedErr.message});
+      } else {
+        span.setStatus({code: SPAN_STATUS_OK});
+      }
+      span.end(endTime);
+    }
+    if (emitSpans) {
+      self.constructor.emit('span', {
+        name: name,
+        db: dbName,
+        args: argSummary,
+        startTime: startTime,
+        endTime: endTime,
+        duration: endTime - startTime,
+        outcome: err ? 'error' : 'success',
+        error: err ? {
+          status: err.status,
+          name: err.name,
+          message: loggedErr.message
+        } : null
+      });
+    }
+    origCallback(err, res);
+  };
+}
+
+// pouchdb-errors has no templates for these, so we provide our own in
+// the same shape; createError() accepts any such object
+var ABORT_ERROR = {
+  status: 499,
+  name: 'AbortError',
+  message: 'The operation was aborted',
+  error: true
+};
+
+var TIMEOUT_ERROR = {
+  status: 408,
+  name: 'TimeoutError',
+  message: 'The operation timed out',
+  error: true
+};
+
+// methods that take a document first, which we mustn't mistake for options
+var DOC_FIRST_METHODS = ['put', 'post', 'remove', 'bulkDocs'];
+
+function takesDocFirst(name) {
+  return DOC_FIRST_METHODS.indexOf(name) !== -1;
+}
+
+// the options object, if there is one, comes right before the callback
+function getCallOpts(name, args) {
+  var opts = args[args.length - 2];
+  if (!opts || typeof opts !== 'object' ||
+      (opts === args[0] && takesDocFirst(name))) {
+    return {};
+  }
+  return opts;
+}
+
+function getAbortSignal(opts) {
+  var signal = opts.signal;
+  if (signal && typeof signal.addEventListener === 'function') {
+    return signal;
+  }
+}
+
+// milliseconds left until opts.timeout or opts.deadline, whichever
+// comes first, or undefined if neither is set
+function getTimeLeft(opts) {
+  var timeLeft = Infinity;
+  if (typeof opts.timeout === 'number') {
+    timeLeft = opts.timeout;
+  }
+  if (opts.deadline !== undefined) {
+    // a Date deadline has been turned into an ISO string by clone()
+    var deadline = new Date(opts.deadline).getTime();
+    if (!isNaN(deadline)) {
+      timeLeft = Math.min(timeLeft, deadline - Date.now());
+    }
+  }
+  return timeLeft === Infinity ? undefined : Math.max(timeLeft, 0);
+}
+
+function timeoutError(name, timeLeft, queued) {
+  var reason = name + '() did not complete within ' + timeLeft + 'ms';
+  if (queued) {
+    reason += ' (still waiting for the database to be ready)';
+  }
+  var err = pouchdbErrors.createError(TIMEOUT_ERROR, reason);
+  err.method = name;
+  err.timeout = timeLeft;
+  err.queued = queued;
+  return err;
+}
+
+function removeTask(taskqueue, task) {
+  var queue = taskqueue.queue || [];
+  var idx = queue.indexOf(task);
+  if (idx !== -1) {
+    queue.splice(idx, 1);
+    return true;
+  }
+  return false;
+}
+
+// middleware registered through adapterFun.use()
+var middleware = [];
+
+function callAdapter(self, callback, args) {
+  return new Promise(function (fulfill, reject) {
+    var resp = callback.apply(self, args.concat(function (err, res) {
+      if (err) {
+        reject(err);
+      } else {
+        fulfill(res);
+      }
+    }));
+    if (resp && typeof resp.then === 'function') {
+      fulfill(resp);
+    }
+  });
+}
+
+// Each middleware is called as fn(ctx, next), with ctx being
+// {db, name, args} minus the callback. It may rewrite ctx.args, return
+// a result without calling next() to short-circuit the call, or
+// transform whatever the promise returned by next() settles with.
+function runMiddleware(self, name, callback, args) {
+  var cb = args[args.length - 1];
+  var chain = middleware.slice();
+  var ctx = {db: self, name: name, args: args.slice(0, -1)};
+
+  function dispatch(i) {
+    if (i === chain.length) {
+      return callAdapter(self, callback, ctx.args);
+    }
+    return new Promise(function (fulfill) {
+      fulfill(chain[i](ctx, function next() {
+        return dispatch(i + 1);
+      }));
+    });
+  }
+
+  dispatch(0).then(function (res) {
+    cb(null, res);
+  }, cb);
+}
+
+function runAdapterFun(self, name, callback, args, state) {
+  logApiCall(self, name, args);
+  if (!self.taskqueue.isReady) {
+    return new Promise(function (fulfill, reject) {
+      var task = function (failed) {
+        if (failed) {
+          reject(failed);
+        } else {
+          fulfill(self[name].apply(self, args));
+        }
+      };
+      if (state) {
+        state.task = task;
+      }
+      self.taskqueue.addTask(task);
+    });
+  }
+  // only trace calls that actually run, queued ones come back through here
+  traceApiCall(self, name, args);
+  if (middleware.length) {
+    return runMiddleware(self, name, callback, args);
+  }
+  return callback.apply(self, args);
+}
+
+// settle early when opts.signal fires or the time is up, whether the call
+// is still waiting in the taskqueue (in which case it never runs) or
+// already in flight (in which case the adapter gets the signal along
+// with its opts)
+function cancellableAdapterFun(self, name, callback, args, signal, timeLeft) {
+  return new Promise(function (fulfill, reject) {
+    if (signal && signal.aborted) {
+      return reject(pouchdbErrors.createError(ABORT_ERROR));
+    }
+    var state = {};
+    var timer;
+    function cancel() {
+      return !!state.task && removeTask(self.taskqueue, state.task);
+    }
+    function onAbort() {
+      clearTimeout(timer);
+      cancel();
+      reject(pouchdbErrors.createError(ABORT_ERROR));
+    }
+    function onTimeout() {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      reject(timeoutError(name, timeLeft, cancel()));
+    }
+    function done(err, res) {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      clearTimeout(timer);
+      if (err) {
+        reject(err);
+      } else {
+        fulfill(res);
+      }
+    }
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+    if (timeLeft !== undefined) {
+      timer = setTimeout(onTimeout, timeLeft);
+    }
+    args[args.length - 1] = done;
+    try {
+      var resp = runAdapterFun(self, name, callback, args, state);
+      if (resp && typeof resp.then === 'function') {
+        resp.then(function (res) {
+          done(null, res);
+        }, done);
+      }
+    } catch (e) {
+      done(e);
+    }
+  });
+}
+
 function adapterFun(name, callback) {
   return toPromise(function (...args) {
     if (this._closed) {
@@ -188,23 +758,28 @@ function adapterFun(name, callback) {
     if (this._destroyed) {
       return Promise.reject(new Error('database is destroyed'));
     }
-    var self = this;
-    logApiCall(self, name, args);
-    if (!this.taskqueue.isReady) {
-      return new Promise(function (fulfill, reject) {
-        self.taskqueue.addTask(function (failed) {
-          if (failed) {
-            reject(failed);
-          } else {
-            fulfill(self[name].apply(self, args));
-          }
-        });
-      });
+    var opts = getCallOpts(name, args);
+    var signal = getAbortSignal(opts);
+    var timeLeft = getTimeLeft(opts);
+    if (signal || timeLeft !== undefined) {
+      return cancellableAdapterFun(this, name, callback, args, signal, timeLeft);
     }
-    return callback.apply(this, args);
-  });
+    return runAdapterFun(this, name, callback, args);
+  }, name);
 }
 
+// register a middleware for all adapterFun methods, see runMiddleware();
+// returns a function that unregisters it again
+adapterFun.use = function (fn) {
+  middleware.push(fn);
+  return function () {
+    var idx = middleware.indexOf(fn);
+    if (idx !== -1) {
+      middleware.splice(idx, 1);
+    }
+  };
+};
+
 // like underscore/lodash _.pick()
 function pick(obj, arr) {
   var res = {};
@@ -232,120 +807,337 @@ function formatResultForOpenRevsGet(result) {
   }];
 }
 
-// shim for P/CouchDB adapters that don't directly implement _bulk_get
-function bulkGet(db, opts, callback) {
+// Turns the attachments the caller already has into stubs, which are
+// those that haven't changed since the latest of the atts_since revs
+// the doc descends from. Needs the doc's _revisions to tell.
+function stubAttachmentsSince(doc, attsSince) {
+  var revisions = doc._revisions;
+  if (!doc._attachments || !revisions) {
+    return;
+  }
+  var knownPos = 0;
+  attsSince.forEach(function (rev) {
+    if (typeof rev !== 'string' || !revRegex.test(rev)) {
+      return;
+    }
+    var parsed = parseRev(rev);
+    if (revisions.ids[revisions.start - parsed.pos] === parsed.hash) {
+      knownPos = Math.max(knownPos, parsed.pos);
+    }
+  });
+  Object.keys(doc._attachments).forEach(function (name) {
+    var att = doc._attachments[name];
+    if (att.revpos <= knownPos) {
+      delete att.data;
+      att.stub = true;
+    }
+  });
+}
+
+// no status usually means the request never made it to the server
+function isTransientError(err) {
+  return !err.status || err.status >= 500;
+}
+
+// Does the actual work for bulkGet() and bulkGetStream(), calling
+// handlers.result(docIndex, {id, docs}) as each group of requests is
+// fetched and handlers.done() when all of them are. No new db.get()
+// calls are made while handlers.paused() returns true, call resume() on
+// the returned object once it doesn't anymore, or cancel() to give up.
+//
+// On top of the _bulk_get options, this understands:
+//   - concurrency: how many db.get() calls may run at once, defaults to
+//     MAX_NUM_CONCURRENT_REQUESTS
+//   - retries: how many times a db.get() failing with a 5xx or network
+//     error is retried before the error is reported, defaults to 0
+//   - back_off_function: how long to wait before each retry, as in
+//     replicate(), defaults to defaultBackOff
+//   - total_timeout: milliseconds after which all docs that haven't been
+//     fetched yet are reported as errors
+function runBulkGet(db, opts, handlers) {
   var requests = opts.docs;
+  var concurrency = opts.concurrency || MAX_NUM_CONCURRENT_REQUESTS;
+  var retries = opts.retries || 0;
+  var backOff = opts.back_off_function || defaultBackOff;
 
-  // consolidate into one request per doc if possible
-  var requestsById = new pouchdbCollections.Map();
+  // consolidate into one request per doc if possible, that is per doc
+  // and set of per-request options
+  var requestsByGroup = new pouchdbCollections.Map();
   requests.forEach(function (request) {
-    if (requestsById.has(request.id)) {
-      requestsById.get(request.id).push(request);
+    var group = JSON.stringify([request.id, request.atts_since, request.attachments]);
+    if (requestsByGroup.has(group)) {
+      requestsByGroup.get(group).push(request);
     } else {
-      requestsById.set(request.id, [request]);
+      requestsByGroup.set(group, [request]);
     }
   });
 
-  var numDocs = requestsById.size;
+  var numDocs = requestsByGroup.size;
   var numDone = 0;
-  var perDocResults = new Array(numDocs);
-
-  function collapseResultsAndFinish() {
-    var results = [];
-    perDocResults.forEach(function (res) {
-      res.docs.forEach(function (info) {
-        results.push({
-          id: res.id,
-          docs: [info]
-        });
-      });
-    });
-    callback(null, {results: results});
+  var gotResults = new Array(numDocs);
+  var finished = false;
+  var timeout;
+
+  function finish() {
+    finished = true;
+    clearTimeout(timeout);
+    handlers.done();
   }
 
-  function checkDone() {
+  function gotResult(docIndex, id, docs) {
+    if (finished || gotResults[docIndex]) {
+      return;
+    }
+    gotResults[docIndex] = true;
+    handlers.result(docIndex, {id: id, docs: docs});
     if (++numDone === numDocs) {
-      collapseResultsAndFinish();
+      finish();
     }
   }
 
-  function gotResult(docIndex, id, docs) {
-    perDocResults[docIndex] = {id: id, docs: docs};
-    checkDone();
-  }
-
   var allRequests = [];
-  requestsById.forEach(function (value, key) {
-    allRequests.push(key);
+  requestsByGroup.forEach(function (value) {
+    allRequests.push(value);
   });
 
   var i = 0;
+  var numRunning = 0;
+
+  function next() {
+    while (!finished && numRunning < concurrency && i < allRequests.length &&
+        !(handlers.paused && handlers.paused())) {
+      numRunning++;
+      processDoc(allRequests[i], i);
+      i++;
+    }
+  }
 
-  function nextBatch() {
+  function processDoc(docRequests, docIdx) {
+    var docId = docRequests[0].id;
 
-    if (i >= allRequests.length) {
-      return;
+    // globally-supplied options
+    var docOpts = {};
+    ['revs', 'attachments', 'binary', 'ajax', 'latest'].forEach(function (param) {
+      if (param in opts) {
+        docOpts[param] = opts[param];
+      }
+    });
+
+    // per-request options, which are the same for the whole group
+    var requestOpts = pick(docRequests[0], ['atts_since', 'attachments']);
+    Object.keys(requestOpts).forEach(function (param) {
+      docOpts[param] = requestOpts[param];
+    });
+
+    // we need the doc's history to know which attachments to stub, unless
+    // the caller doesn't want attachments at all, when CouchDB would
+    // still send those newer than atts_since
+    if (docOpts.attachments === false) {
+      delete docOpts.atts_since;
+    }
+    var attsSince = docOpts.atts_since;
+    var keepRevisions = docOpts.revs;
+    if (attsSince) {
+      docOpts.attachments = true;
+      docOpts.revs = true;
     }
 
-    var upTo = Math.min(i + MAX_NUM_CONCURRENT_REQUESTS, allRequests.length);
-    var batch = allRequests.slice(i, upTo);
-    processBatch(batch, i);
-    i += batch.length;
-  }
+    docOpts.open_revs = docRequests.map(function (request) {
+      // rev is optional, open_revs disallowed
+      return request.rev;
+    });
 
-  function processBatch(batch, offset) {
-    batch.forEach(function (docId, j) {
-      var docIdx = offset + j;
-      var docRequests = requestsById.get(docId);
+    // remove falsey / undefined revisions
+    docOpts.open_revs = docOpts.open_revs.filter(identityFunction);
 
-      // just use the first request as the "template"
-      // TODO: The _bulk_get API allows for more subtle use cases than this,
-      // but for now it is unlikely that there will be a mix of different
-      // "atts_since" or "attachments" in the same request, since it's just
-      // replicate.js that is using this for the moment.
-      // Also, atts_since is aspirational, since we don't support it yet.
-      var docOpts = pick(docRequests[0], ['atts_since', 'attachments']);
-      docOpts.open_revs = docRequests.map(function (request) {
-        // rev is optional, open_revs disallowed
-        return request.rev;
-      });
+    var formatResult = identityFunction;
 
-      // remove falsey / undefined revisions
-      docOpts.open_revs = docOpts.open_revs.filter(identityFunction);
+    if (docOpts.open_revs.length === 0) {
+      delete docOpts.open_revs;
 
-      var formatResult = identityFunction;
+      // when fetching only the "winning" leaf,
+      // transform the result so it looks like an open_revs
+      // request
+      formatResult = formatResultForOpenRevsGet;
+    }
 
-      if (docOpts.open_revs.length === 0) {
-        delete docOpts.open_revs;
+    function get() {
+      return new Promise(function (fulfill, reject) {
+        db.get(docId, docOpts, function (err, res) {
+          if (err) {
+            return reject(err);
+          }
+          fulfill(res);
+        });
+      });
+    }
 
-        // when fetching only the "winning" leaf,
-        // transform the result so it looks like an open_revs
-        // request
-        formatResult = formatResultForOpenRevsGet;
+    function gotDoc(err, res) {
+      var result;
+      /* istanbul ignore if */
+      if (err) {
+        result = [{error: err}];
+      } else {
+        result = formatResult(res);
+        if (attsSince) {
+          result.forEach(function (info) {
+            if (info.ok) {
+              stubAttachmentsSince(info.ok, attsSince);
+              if (!keepRevisions) {
+                delete info.ok._revisions;
+              }
+            }
+          });
+        }
       }
+      numRunning--;
+      gotResult(docIdx, docId, result);
+      next();
+    }
 
-      // globally-supplied options
-      ['revs', 'attachments', 'binary', 'ajax', 'latest'].forEach(function (param) {
-        if (param in opts) {
-          docOpts[param] = opts[param];
-        }
+    retry(get, {
+      backOff: backOff,
+      maxAttempts: retries + 1,
+      shouldRetry: function (err) {
+        return isTransientError(err) && !finished;
+      }
+    }).then(function (res) {
+      gotDoc(null, res);
+    }, gotDoc);
+  }
+
+  if (opts.total_timeout) {
+    timeout = setTimeout(function () {
+      var err = pouchdbErrors.createError(TIMEOUT_ERROR, 'bulkGet() did not complete within ' +
+        opts.total_timeout + 'ms');
+      allRequests.forEach(function (docRequests, docIdx) {
+        gotResult(docIdx, docRequests[0].id, [{error: err}]);
       });
-      db.get(docId, docOpts, function (err, res) {
-        var result;
-        /* istanbul ignore if */
-        if (err) {
-          result = [{error: err}];
-        } else {
-          result = formatResult(res);
-        }
-        gotResult(docIdx, docId, result);
-        nextBatch();
+    }, opts.total_timeout);
+  }
+
+  if (!numDocs) {
+    finish();
+  }
+  next();
+
+  return {
+    resume: next,
+    cancel: function () {
+      finished = true;
+      clearTimeout(timeout);
+    }
+  };
+}
+
+// shim for P/CouchDB adapters that don't directly implement _bulk_get,
+// takes the options described in runBulkGet()
+function bulkGet(db, opts, callback) {
+  var perDocResults = [];
+
+  function collapseResultsAndFinish() {
+    var results = [];
+    perDocResults.forEach(function (res) {
+      res.docs.forEach(function (info) {
+        results.push({
+          id: res.id,
+          docs: [info]
+        });
       });
     });
+    callback(null, {results: results});
+  }
+
+  runBulkGet(db, opts, {
+    result: function (docIndex, res) {
+      perDocResults[docIndex] = res;
+    },
+    done: collapseResultsAndFinish
+  });
+}
+
+// Like bulkGet(), but returns an async iterator yielding each {id, docs}
+// as soon as it has been fetched, rather than everything at the end.
+// Results come in the order they arrive unless opts.ordered is set, and
+// no more docs are fetched while opts.high_water_mark results (defaulting
+// to the concurrency) are waiting to be consumed.
+function bulkGetStream(db, opts) {
+  var highWaterMark = opts.high_water_mark || opts.concurrency ||
+    MAX_NUM_CONCURRENT_REQUESTS;
+  var buffer = [];
+  var early = new pouchdbCollections.Map(); // by index, when ordered
+  var numEarly = 0;
+  var nextIndex = 0;
+  var waiting = null;
+  var done = false;
+
+  function push(res) {
+    if (waiting) {
+      var fulfill = waiting;
+      waiting = null;
+      fulfill({value: res, done: false});
+    } else {
+      buffer.push(res);
+    }
   }
 
-  nextBatch();
+  function end() {
+    done = true;
+    if (waiting) {
+      var fulfill = waiting;
+      waiting = null;
+      fulfill({value: undefined, done: true});
+    }
+  }
+
+  var control = runBulkGet(db, opts, {
+    result: function (docIndex, res) {
+      if (!opts.ordered) {
+        return push(res);
+      }
+      early.set(docIndex, res);
+      numEarly++;
+      while (early.has(nextIndex)) {
+        push(early.get(nextIndex));
+        early.delete(nextIndex);
+        numEarly--;
+        nextIndex++;
+      }
+    },
+    done: end,
+    paused: function () {
+      return buffer.length + numEarly >= highWaterMark;
+    }
+  });
 
+  var iterator = {
+    next: function () {
+      if (buffer.length) {
+        var res = buffer.shift();
+        control.resume();
+        return Promise.resolve({value: res, done: false});
+      }
+      if (done) {
+        return Promise.resolve({value: undefined, done: true});
+      }
+      return new Promise(function (fulfill) {
+        waiting = fulfill;
+        control.resume();
+      });
+    },
+    return: function () {
+      control.cancel();
+      buffer = [];
+      end();
+      return Promise.resolve({value: undefined, done: true});
+    }
+  };
+  if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function () {
+      return iterator;
+    };
+  }
+  return iterator;
 }
 
 var hasLocal;
@@ -361,18 +1153,131 @@ function hasLocalStorage() {
   return hasLocal;
 }
 
+// A transport for Changes built on a BroadcastChannel, e.g. to notify
+// other tabs and workers. Pass opts.BroadcastChannel to use another
+// implementation than the global one.
+function broadcastChangesTransport(opts) {
+  opts = opts || {};
+  var Channel = opts.BroadcastChannel ||
+    (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+  if (!Channel) {
+    throw new Error('BroadcastChannel is not supported in this environment');
+  }
+  var channel = new Channel(opts.name || 'pouchdb-changes');
+  return {
+    publish: function (message) {
+      channel.postMessage(message);
+    },
+    subscribe: function (onMessage) {
+      function onEvent(event) {
+        onMessage(event.data);
+      }
+      channel.addEventListener('message', onEvent);
+      return function () {
+        channel.removeEventListener('message', onEvent);
+      };
+    },
+    close: function () {
+      channel.close();
+    }
+  };
+}
+
+// A transport for Changes for browsers without BroadcastChannel, writing
+// messages to localStorage under the db name so other tabs get a storage
+// event. Older versions only look at the key changing, so they still
+// get notified, and their "a"/"b" toggles are understood in turn.
+function localStorageChangesTransport() {
+  var counter = 0;
+  return {
+    publish: function (message) {
+      // the counter makes sure the value changes, or there is no event
+      localStorage[message.db] = JSON.stringify(assign$1({
+        counter: ++counter
+      }, message));
+    },
+    subscribe: function (onMessage) {
+      function onStorage(e) {
+        if (e.key === null) { // localStorage.clear()
+          return;
+        }
+        var message;
+        try {
+          message = JSON.parse(e.newValue);
+        } catch (err) {
+          // not ours, or written by an older version
+        }
+        if (!message || message.db !== e.key) {
+          message = {db: e.key};
+        }
+        onMessage(message);
+      }
+      addEventListener("storage", onStorage);
+      return function () {
+        removeEventListener("storage", onStorage);
+      };
+    }
+  };
+}
+
+// other tabs are told about changes through a BroadcastChannel where
+// there is one, and by writing to localStorage otherwise
+function defaultChangesTransport() {
+  if (typeof BroadcastChannel !== 'undefined') {
+    return broadcastChangesTransport();
+  }
+  if (hasLocalStorage()) {
+    return localStorageChangesTransport();
+  }
+  return null;
+}
+
 // Custom nextTick() shim for browsers. In node, this will just be process.nextTick(). We
 
+
+var COALESCING_DEFAULTS = {
+  debounce: 0,
+  max_wait: Infinity,
+  max_concurrent: 1,
+  max_failures: Infinity
+};
+
+var LISTENER_FAILED_ERROR = {
+  status: 500,
+  name: 'listener_failed',
+  message: 'Changes listener cancelled after too many failures',
+  error: true
+};
+
+// Notifications for a listener can be coalesced with these options, given
+// to the constructor or per listener in addListener()'s opts:
+//  - debounce: wait this many ms for more notifications before querying
+//    db.changes(), so a burst of writes only causes a single query
+//  - max_wait: but never delay a query more than this many ms after the
+//    first notification of a burst
+//  - max_concurrent: how many db.changes() queries a listener may have
+//    running at once, later notifications wait for one of them to finish
+//
+// A failed query is retried after back_off_function(lastDelay) ms, which
+// defaults to defaultBackOff(). Every error is passed to opts.onError, and
+// after max_failures failures in a row, or once back_off_function is
+// exhausted or throws, the listener is removed and opts.onError and
+// opts.complete get a listener_failed error with the last one as cause.
 class Changes extends EventEmitter {
-  constructor() {
+  constructor(opts) {
     super();
     
     this._listeners = {};
+    this._listenerState = {};
+    this._coalescing = assign$1({}, COALESCING_DEFAULTS, opts &&
+      pick(opts, Object.keys(COALESCING_DEFAULTS)));
+    this._metrics = {notifications: 0, merged: 0, queries: 0};
+    this._origin = uuid.v4();
+    this._transports = [];
     
-    if (hasLocalStorage()) {
-      addEventListener("storage", function (e) {
-        this.emit(e.key);
-      });
+    var transport = defaultChangesTransport();
+    if (transport) {
+      this.addTransport(transport);
     }
   }
 
@@ -380,24 +1285,122 @@ class Changes extends EventEmitter {
     if (this._listeners[id]) {
       return;
     }
-    var inprogress = false;
     var self = this;
-    function eventFunction() {
+    var coalescing = assign$1({}, this._coalescing,
+      pick(opts, Object.keys(COALESCING_DEFAULTS)));
+    var backOff = opts.back_off_function || defaultBackOff;
+    var state = {
+      dbName: dbName,
+      opts: opts,
+      lastError: null,
+      running: 0,
+      waiting: false,
+      timer: null,
+      burstStart: 0,
+      failures: 0,
+      retryDelay: 0,
+      retryTimer: null,
+      metrics: {notifications: 0, merged: 0, queries: 0}
+    };
+
+    function count(metric) {
+      state.metrics[metric]++;
+      self._metrics[metric]++;
+    }
+
+    function eventFunction(message) {
       if (!self._listeners[id]) {
         return;
       }
-      if (inprogress) {
-        inprogress = 'waiting';
+      if (message && typeof message.seq === 'number' &&
+          typeof opts.since === 'number' && message.seq <= opts.since) {
+        return; // we've already seen this change
+      }
+      count('notifications');
+      if (!coalescing.debounce) {
+        return runQuery();
+      }
+      var now = Date.now();
+      if (state.timer) {
+        count('merged');
+        clearTimeout(state.timer);
+      } else {
+        state.burstStart = now;
+      }
+      var delay = Math.min(coalescing.debounce,
+        state.burstStart + coalescing.max_wait - now);
+      state.timer = setTimeout(function () {
+        state.timer = null;
+        runQuery();
+      }, Math.max(delay, 0));
+    }
+
+    function runQuery() {
+      if (!self._listeners[id]) {
+        return;
+      }
+      if (state.running >= coalescing.max_concurrent) {
+        if (state.waiting) {
+          count('merged');
+        }
+        state.waiting = true;
         return;
       }
-      inprogress = true;
+      state.running++;
+      count('queries');
       var changesOpts = pick(opts, [
         'style', 'include_docs', 'attachments', 'conflicts', 'filter',
         'doc_ids', 'view', 'since', 'query_params', 'binary', 'return_docs'
       ]);
   
-      function onError() {
-        inprogress = false;
+      function giveUp(err) {
+        var error = pouchdbErrors.createError(LISTENER_FAILED_ERROR,
+          'Gave up on changes listener ' + id + ' for ' + dbName +
+          ' after ' + state.failures + ' failures');
+        error.cause = err;
+        opts.cancelled = true;
+        self.removeListener(dbName, id);
+        if (typeof opts.onError === 'function') {
+          opts.onError(error);
+        }
+        // so that a live changes feed ends with the error rather than
+        // just going quiet
+        if (typeof opts.complete === 'function') {
+          opts.complete(error);
+        }
+      }
+
+      function onError(err) {
+        state.running--;
+        if (!self._listeners[id]) {
+          return;
+        }
+        state.lastError = err;
+        if (++state.failures >= coalescing.max_failures) {
+          return giveUp(err);
+        }
+        var retryDelay;
+        if (!state.retryTimer) {
+          try {
+            retryDelay = backOff(state.retryDelay, state.failures);
+          } catch (e) {
+            // a createBackOff() with opts.maxAttempts ran out, or
+            // back_off_function is broken
+            return giveUp(isBackOffExhausted(e) ? err : e);
+          }
+        }
+        if (typeof opts.onError === 'function') {
+          opts.onError(err);
+        }
+        // the retry covers anything that came in meanwhile
+        state.waiting = false;
+        if (!state.retryTimer) {
+          state.retryDelay = retryDelay;
+          state.retryTimer = setTimeout(function () {
+            state.retryTimer = null;
+            runQuery();
+          }, state.retryDelay);
+        }
       }
   
       db.changes(changesOpts).on('change', function (c) {
@@ -406,13 +1409,17 @@ class Changes extends EventEmitter {
           opts.onChange(c);
         }
       }).on('complete', function () {
-        if (inprogress === 'waiting') {
-          immediate(eventFunction);
+        state.running--;
+        state.failures = 0;
+        state.retryDelay = 0;
+        if (state.waiting) {
+          state.waiting = false;
+          immediate(runQuery);
         }
-        inprogress = false;
       }).on('error', onError);
     }
     this._listeners[id] = eventFunction;
+    this._listenerState[id] = state;
     this.on(dbName, eventFunction);
   }
   
@@ -421,20 +1428,116 @@ class Changes extends EventEmitter {
       return;
     }
     super.removeListener(dbName, this._listeners[id]);
+    clearTimeout(this._listenerState[id].timer);
+    clearTimeout(this._listenerState[id].retryTimer);
     delete this._listeners[id];
+    delete this._listenerState[id];
   }
-  
-  notifyLocalWindows(dbName) {
-    //do a useless change on a storage thing
-    //in order to get other windows's listeners to activate
-    if (hasLocalStorage()) {
-      localStorage[dbName] = (localStorage[dbName] === "a") ? "b" : "a";
+
+  // Also forgets about the listeners added with addListener(), which
+  // EventEmitter's version would leave behind in this._listeners
+  removeAllListeners(dbName) {
+    var self = this;
+    Object.keys(this._listenerState).forEach(function (id) {
+      var state = self._listenerState[id];
+      if (dbName === undefined || state.dbName === dbName) {
+        self.removeListener(state.dbName, id);
+      }
+    });
+    if (dbName === undefined) {
+      return super.removeAllListeners();
     }
+    return super.removeAllListeners(dbName);
+  }
+
+  // Describes the listeners for dbName, or all of them, to help find
+  // leaked ones. state is one of 'idle', 'debouncing' (waiting for more
+  // notifications), 'running' (querying db.changes()), 'waiting' (to
+  // query again once that's done) or 'retrying' (after an error).
+  getListeners(dbName) {
+    var self = this;
+    return Object.keys(this._listenerState).filter(function (id) {
+      return dbName === undefined ||
+        self._listenerState[id].dbName === dbName;
+    }).map(function (id) {
+      var state = self._listenerState[id];
+      var status = 'idle';
+      if (state.retryTimer) {
+        status = 'retrying';
+      } else if (state.waiting) {
+        status = 'waiting';
+      } else if (state.running) {
+        status = 'running';
+      } else if (state.timer) {
+        status = 'debouncing';
+      }
+      return {
+        id: id,
+        dbName: state.dbName,
+        since: state.opts.since,
+        state: status,
+        running: state.running,
+        failures: state.failures,
+        lastError: state.lastError,
+        notifications: state.metrics.notifications
+      };
+    });
+  }
+
+  // How many notifications there were, how many of them were merged into
+  // another one's db.changes() query, and how many queries were made, for
+  // the listener with the given id, or all of them if none is given
+  getMetrics(id) {
+    if (id === undefined) {
+      return assign$1({}, this._metrics);
+    }
+    if (!this._listenerState[id]) {
+      return null;
+    }
+    return assign$1({}, this._listenerState[id].metrics);
   }
   
-  notify(dbName) {
-    this.emit(dbName);
-    this.notifyLocalWindows(dbName);
+  // kept for backwards compatibility, other windows are told about
+  // changes by the default transport now
+  notifyLocalWindows(dbName, seq) {
+    this.notifyTransports(dbName, seq);
+  }
+  
+  // Adds a transport to tell other processes about changes, and to be
+  // told about theirs. A transport is an object with publish(message) and
+  // subscribe(onMessage) returning a function to unsubscribe, messages
+  // being {db, seq, origin} where seq is the latest update seq if known
+  // and origin identifies the sender, so we can ignore our own messages.
+  // Returns a function to remove the transport again.
+  addTransport(transport) {
+    var self = this;
+    var unsubscribe = transport.subscribe(function (message) {
+      if (message && message.origin !== self._origin &&
+          typeof message.db === 'string') {
+        self.emit(message.db, message);
+      }
+    });
+    var entry = {transport: transport, unsubscribe: unsubscribe};
+    this._transports.push(entry);
+    return function () {
+      var idx = self._transports.indexOf(entry);
+      if (idx !== -1) {
+        self._transports.splice(idx, 1);
+        entry.unsubscribe();
+      }
+    };
+  }
+
+  notifyTransports(dbName, seq) {
+    var message = {db: dbName, seq: seq, origin: this._origin};
+    this._transports.forEach(function (entry) {
+      entry.transport.publish(message);
+    });
+  }
+
+  notify(dbName, seq) {
+    this.emit(dbName, {db: dbName, seq: seq, origin: this._origin});
+    this.notifyTransports(dbName, seq);
   }
 }
 
@@ -442,7 +1545,7 @@ function guardedConsole(method) {
   /* istanbul ignore else */
   if (typeof console !== 'undefined' && typeof console[method] === 'function') {
     var args = Array.prototype.slice.call(arguments, 1);
-    console[method].apply(console, args);
+    console[method].apply(console, redactForLog(args));
   }
 }
 
@@ -474,6 +1577,213 @@ function defaultBackOff(min) {
   return randomNumber(min, max);
 }
 
+// mulberry32, good enough to make jittered delays reproducible in tests
+function seededRandom(seed) {
+  var state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// each gets the attempt number (starting at 1), the previous delay and
+// the options, and returns the next delay before applying the cap
+var backOffStrategies = {
+  exponential: function (attempt, previous, opts) {
+    return opts.base * Math.pow(2, attempt - 1);
+  },
+  // see https://aws.amazon.com/blogs/architecture/
+  // exponential-backoff-and-jitter/
+  full_jitter: function (attempt, previous, opts) {
+    var max = Math.min(opts.cap, opts.base * Math.pow(2, attempt - 1));
+    return opts.random() * max;
+  },
+  decorrelated_jitter: function (attempt, previous, opts) {
+    var max = (previous || opts.base) * 3;
+    return opts.base + opts.random() * (max - opts.base);
+  },
+  linear: function (attempt, previous, opts) {
+    return opts.base * attempt;
+  },
+  constant: function (attempt, previous, opts) {
+    return opts.base;
+  }
+};
+
+var BACK_OFF_DEFAULTS = {
+  base: 1000,
+  cap: 600000, // same 10 minutes as defaultBackOff
+  maxAttempts: Infinity
+};
+
+// thrown by the functions createBackOff() returns once they run out of
+// attempts, as there's no delay a caller couldn't mistake for a real one
+var BACK_OFF_EXHAUSTED_ERROR = {
+  status: 500,
+  name: 'back_off_exhausted',
+  message: 'Ran out of attempts to back off for',
+  error: true
+};
+
+function isBackOffExhausted(err) {
+  return !!err && err.name === BACK_OFF_EXHAUSTED_ERROR.name;
+}
+
+// Returns a function with the same (previous) => next contract as
+// defaultBackOff, using one of the strategies above. retry() and changes
+// listeners also pass the number of the attempt that failed, so that one
+// function can be shared by any number of them. Other callers get it
+// counted for them: delays are at least 1ms, so that passing anything but
+// the delay it returned last, like 0, unambiguously starts over at the
+// first attempt. After opts.maxAttempts delays it throws a
+// back_off_exhausted error (see isBackOffExhausted()) until it is started
+// over. Pass opts.seed (or your own opts.random) to get the same jittered
+// delays every time.
+function createBackOff(strategy, opts) {
+  var compute = Object.prototype.hasOwnProperty.call(backOffStrategies,
+    strategy) && backOffStrategies[strategy];
+  if (!compute) {
+    throw pouchdbErrors.createError(pouchdbErrors.BAD_ARG,
+      'Unknown back off strategy: ' + strategy);
+  }
+  opts = assign$1({}, BACK_OFF_DEFAULTS, opts);
+  if (!opts.random) {
+    opts.random = typeof opts.seed === 'number' ?
+      seededRandom(opts.seed) : Math.random;
+  }
+  var attempt = 0;
+  var last = 0;
+  return function (previous, failedAttempt) {
+    var counted = typeof failedAttempt !== 'number';
+    if (counted) {
+      attempt = previous && previous === last ? attempt + 1 : 1;
+    }
+    var current = counted ? attempt : failedAttempt;
+    if (current > opts.maxAttempts) {
+      if (counted) {
+        // so that calling it again with the same delay still gives up
+        attempt = opts.maxAttempts;
+      }
+      throw pouchdbErrors.createError(BACK_OFF_EXHAUSTED_ERROR,
+        'Gave up after ' + opts.maxAttempts + ' attempts');
+    }
+    var delay = Math.max(1,
+      Math.round(Math.min(opts.cap, compute(current, previous, opts))));
+    if (counted) {
+      last = delay;
+    }
+    return delay;
+  };
+}
+
+// conflicts, server and network errors (which have no status)
+function isRetryableError(err) {
+  return !err || err.status === 409 || isTransientError(err);
+}
+
+var DEFAULT_MAX_ATTEMPTS = 10;
+
+// Calls fn(attempt), attempt starting at 1, until the promise it returns
+// resolves, and resolves with that. Failed attempts are retried as long as
+// opts.shouldRetry(err, attempt) agrees, which defaults to retrying
+// conflicts, 5xx and network errors, after waiting for as long as
+// opts.backOff(previousDelay, attempt) says (like defaultBackOff, the
+// default, or createBackOff()). Gives
+// up with the last error after opts.maxAttempts attempts (10 by default)
+// or once opts.backOff is exhausted, or with an AbortError when
+// opts.signal is aborted.
+//
+// opts.onRetry(err, info) is called before waiting to retry, info being
+// {attempt, duration, delay}. Errors from fn are passed on as they are.
+function retry(fn, opts) {
+  opts = opts || {};
+  var backOff = opts.backOff || defaultBackOff;
+  var maxAttempts = opts.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  var shouldRetry = opts.shouldRetry || isRetryableError;
+  var signal = getAbortSignal(opts);
+  var attempts = 0;
+
+  return new Promise(function (fulfill, reject) {
+    var delay = 0;
+    var timer;
+    var done = false;
+
+    // ok rather than the error says how it went, as fn might well
+    // reject with undefined
+    function finish(ok, value) {
+      if (done) {
+        return;
+      }
+      done = true;
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (ok) {
+        return fulfill(value);
+      }
+      reject(value);
+    }
+
+    function onAbort() {
+      finish(false, pouchdbErrors.createError(ABORT_ERROR));
+    }
+
+    function retryOrFinish(err, number, info) {
+      if (number >= maxAttempts || !shouldRetry(err, number)) {
+        return finish(false, err);
+      }
+      try {
+        delay = backOff(delay, number);
+      } catch (e) {
+        if (isBackOffExhausted(e)) {
+          return finish(false, err);
+        }
+        throw e;
+      }
+      info.delay = delay;
+      if (opts.onRetry) {
+        opts.onRetry(err, info);
+      }
+      timer = setTimeout(attempt, delay);
+    }
+
+    function attempt() {
+      var number = ++attempts;
+      var info = {attempt: number, duration: 0};
+      var start = Date.now();
+      Promise.resolve().then(function () {
+        return fn(number);
+      }).then(function (res) {
+        info.duration = Date.now() - start;
+        finish(true, res);
+      }, function (err) {
+        info.duration = Date.now() - start;
+        if (done) {
+          return;
+        }
+        try {
+          retryOrFinish(err, number, info);
+        } catch (e) {
+          // shouldRetry(), backOff() or onRetry() threw
+          finish(false, e);
+        }
+      });
+    }
+
+    if (signal) {
+      if (signal.aborted) {
+        return onAbort();
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+    attempt();
+  });
+}
+
 // designed to give info to browser users, who are disturbed
 // when they see http errors in the console
 function explainError(status, str) {
@@ -507,21 +1817,365 @@ var assign;
   }
 }
 
-var assign$1 = assign;
+var assign$1 = assign;
+
+function tryFilter(filter, doc, req) {
+  try {
+    return !filter(doc, req);
+  } catch (err) {
+    var msg = 'Filter function threw: ' + err.toString();
+    return pouchdbErrors.createError(pouchdbErrors.BAD_REQUEST, msg);
+  }
+}
+
+// Mango selectors, as in db.find() or CouchDB's _selector filter.
+// compileSelector() turns one into a function(doc) returning whether the
+// doc matches, or throws a BAD_REQUEST error when it's invalid.
+
+function selectorError(reason) {
+  return pouchdbErrors.createError(pouchdbErrors.BAD_REQUEST,
+    'Invalid selector: ' + reason);
+}
+
+function isObjectNotArray(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// CouchDB's collation order: null < booleans < numbers < strings < arrays
+// < objects, though strings are compared by code unit rather than ICU
+function collationRank(value) {
+  if (value === null) {
+    return 1;
+  }
+  if (Array.isArray(value)) {
+    return 5;
+  }
+  return {boolean: 2, number: 3, string: 4, object: 6}[typeof value];
+}
+
+function collate(a, b) {
+  var rankA = collationRank(a);
+  var rankB = collationRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+  var i, res;
+  if (rankA === 5) {
+    for (i = 0; i < a.length && i < b.length; i++) {
+      if ((res = collate(a[i], b[i])) !== 0) {
+        return res;
+      }
+    }
+    return a.length - b.length;
+  }
+  if (rankA === 6) {
+    var keysA = Object.keys(a);
+    var keysB = Object.keys(b);
+    for (i = 0; i < keysA.length && i < keysB.length; i++) {
+      if ((res = collate(keysA[i], keysB[i])) !== 0 ||
+          (res = collate(a[keysA[i]], b[keysB[i]])) !== 0) {
+        return res;
+      }
+    }
+    return keysA.length - keysB.length;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// 'a.b\\.c' -> ['a', 'b.c']
+function parseField(field) {
+  var path = [];
+  var current = '';
+  for (var i = 0; i < field.length; i++) {
+    var ch = field.charAt(i);
+    if (ch === '\\' && field.charAt(i + 1) === '.') {
+      current += '.';
+      i++;
+    } else if (ch === '.') {
+      path.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  path.push(current);
+  return path;
+}
+
+// undefined when the field doesn't exist
+function getField(doc, path) {
+  var value = doc;
+  for (var i = 0; i < path.length; i++) {
+    if (!isObjectNotArray(value) ||
+        !Object.prototype.hasOwnProperty.call(value, path[i])) {
+      return undefined;
+    }
+    value = value[path[i]];
+  }
+  return value;
+}
+
+function isEqual(a, b) {
+  return a !== undefined && collate(a, b) === 0;
+}
+
+function isInList(value, list) {
+  return list.some(function (item) {
+    return isEqual(value, item) || (Array.isArray(value) &&
+      value.some(function (elem) {
+        return isEqual(elem, item);
+      }));
+  });
+}
+
+function requireArray(op, operand) {
+  if (!Array.isArray(operand)) {
+    throw selectorError(op + ' requires an array');
+  }
+}
+
+function requireObject(op, operand) {
+  if (!isObjectNotArray(operand)) {
+    throw selectorError(op + ' requires an object');
+  }
+}
+
+function compareWith(test) {
+  return function (operand) {
+    return function (value) {
+      return value !== undefined && test(collate(value, operand));
+    };
+  };
+}
+
+// each takes the operand and returns a function(value) for a field,
+// value being undefined when the field doesn't exist
+var conditionOperators = {
+  $eq: function (operand) {
+    return function (value) {
+      return isEqual(value, operand);
+    };
+  },
+  $ne: function (operand) {
+    return function (value) {
+      return value !== undefined && !isEqual(value, operand);
+    };
+  },
+  $gt: compareWith(function (res) {
+    return res > 0;
+  }),
+  $gte: compareWith(function (res) {
+    return res >= 0;
+  }),
+  $lt: compareWith(function (res) {
+    return res < 0;
+  }),
+  $lte: compareWith(function (res) {
+    return res <= 0;
+  }),
+  $in: function (operand) {
+    requireArray('$in', operand);
+    return function (value) {
+      return value !== undefined && isInList(value, operand);
+    };
+  },
+  $nin: function (operand) {
+    requireArray('$nin', operand);
+    return function (value) {
+      return value !== undefined && !isInList(value, operand);
+    };
+  },
+  $exists: function (operand) {
+    if (typeof operand !== 'boolean') {
+      throw selectorError('$exists requires a boolean');
+    }
+    return function (value) {
+      return (value !== undefined) === operand;
+    };
+  },
+  $type: function (operand) {
+    var types = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+    if (types.indexOf(operand) === -1) {
+      throw selectorError('$type must be one of ' + types.join(', '));
+    }
+    return function (value) {
+      return value !== undefined && types[collationRank(value) - 1] === operand;
+    };
+  },
+  $size: function (operand) {
+    if (typeof operand !== 'number' || operand % 1 !== 0 || operand < 0) {
+      throw selectorError('$size requires a non-negative integer');
+    }
+    return function (value) {
+      return Array.isArray(value) && value.length === operand;
+    };
+  },
+  $mod: function (operand) {
+    if (!Array.isArray(operand) || operand.length !== 2 ||
+        operand.some(function (num) {
+          return typeof num !== 'number' || num % 1 !== 0;
+        }) || operand[0] === 0) {
+      throw selectorError('$mod requires [divisor, remainder] integers ' +
+        'with a non-zero divisor');
+    }
+    return function (value) {
+      return typeof value === 'number' && value % 1 === 0 &&
+        value % operand[0] === operand[1];
+    };
+  },
+  $regex: function (operand) {
+    if (typeof operand !== 'string') {
+      throw selectorError('$regex requires a string');
+    }
+    var regex;
+    try {
+      regex = new RegExp(operand);
+    } catch (err) {
+      throw selectorError('$regex is not a valid regular expression');
+    }
+    return function (value) {
+      return typeof value === 'string' && regex.test(value);
+    };
+  },
+  $all: function (operand) {
+    requireArray('$all', operand);
+    return function (value) {
+      return Array.isArray(value) && operand.every(function (item) {
+        return value.some(function (elem) {
+          return isEqual(elem, item);
+        });
+      });
+    };
+  },
+  $elemMatch: function (operand) {
+    requireObject('$elemMatch', operand);
+    var matches = compileCondition(operand);
+    return function (value) {
+      return Array.isArray(value) && value.some(matches);
+    };
+  },
+  $allMatch: function (operand) {
+    requireObject('$allMatch', operand);
+    var matches = compileCondition(operand);
+    return function (value) {
+      return Array.isArray(value) && value.every(matches);
+    };
+  },
+  $keyMapMatch: function (operand) {
+    requireObject('$keyMapMatch', operand);
+    var matches = compileCondition(operand);
+    return function (value) {
+      return isObjectNotArray(value) && Object.keys(value).some(matches);
+    };
+  }
+};
+
+function compileCombination(op, operand, compile) {
+  if (op === '$not') {
+    requireObject('$not', operand);
+    var matches = compile(operand);
+    return function (value) {
+      return !matches(value);
+    };
+  }
+  requireArray(op, operand);
+  var matchers = operand.map(function (item) {
+    if (!isObjectNotArray(item)) {
+      throw selectorError(op + ' requires an array of objects');
+    }
+    return compile(item);
+  });
+  return function (value) {
+    function test(matches) {
+      return matches(value);
+    }
+    if (op === '$and') {
+      return matchers.every(test);
+    }
+    var some = matchers.some(test);
+    return op === '$or' ? some : !some;
+  };
+}
+
+var combinationOperators = ['$and', '$or', '$nor', '$not'];
 
-function tryFilter(filter, doc, req) {
-  try {
-    return !filter(doc, req);
-  } catch (err) {
-    var msg = 'Filter function threw: ' + err.toString();
-    return pouchdbErrors.createError(pouchdbErrors.BAD_REQUEST, msg);
+function allOf(matchers) {
+  return function (value) {
+    return matchers.every(function (matches) {
+      return matches(value);
+    });
+  };
+}
+
+// a field's condition, either operators or a value to compare it with
+function compileCondition(condition) {
+  if (!isObjectNotArray(condition)) {
+    return conditionOperators.$eq(condition);
+  }
+  var keys = Object.keys(condition);
+  var numOperators = keys.filter(function (key) {
+    return key.charAt(0) === '$';
+  }).length;
+  if (!numOperators) {
+    // {a: {b: 1}} is short for {'a.b': 1}
+    return compileSelector(condition);
+  }
+  if (numOperators !== keys.length) {
+    throw selectorError('cannot mix operators and fields');
+  }
+  return allOf(keys.map(function (op) {
+    if (combinationOperators.indexOf(op) !== -1) {
+      return compileCombination(op, condition[op], compileCondition);
+    }
+    if (!Object.prototype.hasOwnProperty.call(conditionOperators, op)) {
+      throw selectorError('unknown operator ' + op);
+    }
+    return conditionOperators[op](condition[op]);
+  }));
+}
+
+function compileSelector(selector) {
+  if (!isObjectNotArray(selector)) {
+    throw selectorError('must be an object');
   }
+  return allOf(Object.keys(selector).map(function (key) {
+    if (combinationOperators.indexOf(key) !== -1) {
+      return compileCombination(key, selector[key], compileSelector);
+    }
+    if (key.charAt(0) === '$') {
+      throw selectorError('unknown operator ' + key);
+    }
+    var path = parseField(key);
+    var condition = selector[key];
+    var matches = compileCondition(condition);
+    // like CouchDB, nothing but {$exists: false} matches a missing field,
+    // not even $not or $nor
+    var matchesMissing = isObjectNotArray(condition) &&
+      condition.$exists === false;
+    return function (doc) {
+      var value = getField(doc, path);
+      if (value === undefined && !matchesMissing) {
+        return false;
+      }
+      return matches(value);
+    };
+  }));
 }
 
+// opts.selector, a Mango selector, filters on top of opts.filter
 function filterChange(opts) {
   var req = {};
   var hasFilter = opts.filter && typeof opts.filter === 'function';
   req.query = opts.query_params;
+  var matchesSelector;
+  var selectorErr;
+  if (opts.selector) {
+    try {
+      matchesSelector = compileSelector(opts.selector);
+    } catch (err) {
+      selectorErr = err;
+    }
+  }
 
   return function filter(change) {
     if (!change.doc) {
@@ -540,6 +2194,14 @@ function filterChange(opts) {
       return false;
     }
 
+    if (selectorErr) {
+      return selectorErr;
+    }
+
+    if (matchesSelector && !matchesSelector(change.doc)) {
+      return false;
+    }
+
     if (!opts.include_docs) {
       delete change.doc;
     } else if (!opts.attachments) {
@@ -596,7 +2258,7 @@ var res$1 = res;
 //     '_local'
 //   - any other string value is a valid id
 // Returns the specific error object for each case
-function invalidIdError(id) {
+function getIdError(id) {
   var err;
   if (!id) {
     err = pouchdbErrors.createError(pouchdbErrors.MISSING_ID);
@@ -605,11 +2267,160 @@ function invalidIdError(id) {
   } else if (/^_/.test(id) && !(/^_(design|local)/).test(id)) {
     err = pouchdbErrors.createError(pouchdbErrors.RESERVED_ID);
   }
+  return err;
+}
+
+function invalidIdError(id) {
+  var err = getIdError(id);
   if (err) {
     throw err;
   }
 }
 
+// the same list the adapters use when parsing docs
+var reservedWords = [
+  '_id',
+  '_rev',
+  '_access',
+  '_attachments',
+  '_deleted',
+  '_revisions',
+  '_revs_info',
+  '_conflicts',
+  '_deleted_conflicts',
+  '_local_seq',
+  '_rev_tree',
+  // replication documents
+  '_replication_id',
+  '_replication_state',
+  '_replication_state_time',
+  '_replication_state_reason',
+  '_replication_stats',
+  // Specific to Couchbase Sync Gateway
+  '_removed'
+];
+
+var revRegex = /^\d+-[0-9a-f]+$/;
+
+function docError(template, path, reason) {
+  var err = pouchdbErrors.createError(template, reason);
+  err.path = path;
+  return err;
+}
+
+function validateAttachments(atts, errors) {
+  if (!atts || typeof atts !== 'object' || Array.isArray(atts)) {
+    errors.push(docError(pouchdbErrors.BAD_REQUEST, '_attachments',
+      '_attachments must be an object'));
+    return;
+  }
+  Object.keys(atts).forEach(function (name) {
+    var att = atts[name];
+    var path = '_attachments.' + name;
+    if (!att || typeof att !== 'object') {
+      errors.push(docError(pouchdbErrors.BAD_REQUEST, path,
+        'attachment must be an object'));
+      return;
+    }
+    if ('digest' in att && typeof att.digest !== 'string') {
+      errors.push(docError(pouchdbErrors.BAD_REQUEST, path + '.digest',
+        'digest must be a string'));
+    }
+    if (att.stub) {
+      if (att.stub !== true) {
+        errors.push(docError(pouchdbErrors.BAD_REQUEST, path + '.stub',
+          'stub must be true'));
+      }
+      return;
+    }
+    if (typeof att.content_type !== 'string') {
+      errors.push(docError(pouchdbErrors.BAD_REQUEST, path + '.content_type',
+        'content_type must be a string'));
+    }
+    if (!('data' in att)) {
+      errors.push(docError(pouchdbErrors.BAD_REQUEST, path + '.data',
+        'attachment must have either data or stub: true'));
+    } else if (typeof att.data !== 'string' && !isBinaryObject(att.data)) {
+      errors.push(docError(pouchdbErrors.BAD_REQUEST, path + '.data',
+        'data must be a base64 string or binary'));
+    }
+  });
+}
+
+function validateRevisions(doc, errors) {
+  var revisions = doc._revisions;
+  if (!revisions || typeof revisions !== 'object' ||
+      typeof revisions.start !== 'number' || !Array.isArray(revisions.ids) ||
+      !revisions.ids.every(function (id) { return typeof id === 'string'; })) {
+    errors.push(docError(pouchdbErrors.BAD_REQUEST, '_revisions',
+      '_revisions must be of the form {start: number, ids: [string]}'));
+    return;
+  }
+  if (!('_rev' in doc)) {
+    errors.push(docError(pouchdbErrors.BAD_REQUEST, '_revisions',
+      '_revisions requires a _rev'));
+  } else if (doc._rev !== revisions.start + '-' + revisions.ids[0]) {
+    errors.push(docError(pouchdbErrors.BAD_REQUEST, '_revisions',
+      '_revisions does not match _rev'));
+  }
+}
+
+// Checks everything we can about a doc without looking at the database.
+// Unlike invalidIdError() this doesn't throw but returns all the problems
+// found, each of them a PouchError with an additional `path` property,
+// so an empty array means the doc is valid.
+//
+// Options:
+//   - requireId: whether the doc needs an _id, defaults to true
+//   - maxIdLength: the maximum length of the _id, if any
+function validateDoc(doc, opts) {
+  opts = opts || {};
+  var errors = [];
+
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    errors.push(docError(pouchdbErrors.NOT_AN_OBJECT, ''));
+    return errors;
+  }
+
+  if ('_id' in doc || opts.requireId !== false) {
+    var idError = getIdError(doc._id);
+    if (idError) {
+      idError.path = '_id';
+      errors.push(idError);
+    } else if (opts.maxIdLength && doc._id.length > opts.maxIdLength) {
+      errors.push(docError(pouchdbErrors.INVALID_ID, '_id',
+        '_id must not be longer than ' + opts.maxIdLength + ' characters'));
+    }
+  }
+
+  Object.keys(doc).forEach(function (key) {
+    if (key[0] === '_' && reservedWords.indexOf(key) === -1) {
+      errors.push(docError(pouchdbErrors.DOC_VALIDATION, key,
+        'Bad special document member: ' + key));
+    }
+  });
+
+  if ('_rev' in doc && (typeof doc._rev !== 'string' ||
+      !revRegex.test(doc._rev))) {
+    errors.push(docError(pouchdbErrors.INVALID_REV, '_rev'));
+  }
+
+  if ('_attachments' in doc) {
+    validateAttachments(doc._attachments, errors);
+  }
+
+  if ('_deleted' in doc && typeof doc._deleted !== 'boolean') {
+    errors.push(docError(pouchdbErrors.BAD_REQUEST, '_deleted',
+      '_deleted must be a boolean'));
+  }
+
+  if ('_revisions' in doc) {
+    validateRevisions(doc, errors);
+  }
+
+  return errors;
+}
+
 // Checks if a PouchDB object is "remote" or not. This is
 
 function isRemote(db) {
@@ -663,7 +2474,7 @@ var qParser = /(?:^|&)([^&=]*)=?([^&]*)/g;
 /* eslint no-useless-escape: 0 */
 var parser = /^(?:(?![^:@]+:[^:@\/]*@)([^:\/?#.]+):)?(?:\/\/)?((?:(([^:@]*)(?::([^:@]*))?)?@)?([^:\/?#]*)(?::(\d*))?)(((\/(?:[^?#](?![^?#\/]*\.[^?#\/.]+(?:[?#]|$)))*\/?)?([^?#\/]*))(?:\?([^#]*))?(?:#(.*))?)/;
 
-function parseUri(str) {
+function parseUriLegacy(str) {
   var m = parser.exec(str);
   var uri = {};
   var i = 14;
@@ -685,6 +2496,206 @@ function parseUri(str) {
   return uri;
 }
 
+function safeDecode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (err) {
+    return str; // not validly percent-encoded, so leave it alone
+  }
+}
+
+// Parses str as a WHATWG URL, giving the same fields as the old regex
+// based parser did, which handles IPv6 hosts (kept in brackets), user
+// names and passwords containing "@" or ":" and so on. Unlike before,
+// queryKey's values are decoded, and queryParams has all of the values
+// for every key. Note that default ports like :80 for http are left out.
+//
+// With opts.compat, or for strings that don't start with "scheme://"
+// (or where there is no URL), this falls back to the old parser.
+function parseUri(str, opts) {
+  if ((opts && opts.compat) || typeof URL === 'undefined' ||
+      !/^[a-z][a-z0-9+.-]*:\/\//i.test(str)) {
+    return parseUriLegacy(str);
+  }
+  var url;
+  try {
+    url = new URL(str);
+  } catch (err) {
+    return parseUriLegacy(str);
+  }
+
+  var userInfo = url.username + (url.password ? ':' + url.password : '');
+  var path = url.pathname;
+  var fileStart = path.lastIndexOf('/') + 1;
+  var uri = {
+    source: str,
+    protocol: url.protocol.slice(0, -1),
+    authority: (userInfo ? userInfo + '@' : '') + url.host,
+    userInfo: userInfo,
+    user: safeDecode(url.username),
+    password: safeDecode(url.password),
+    host: url.hostname,
+    port: url.port,
+    relative: path + url.search + url.hash,
+    path: path,
+    directory: path.slice(0, fileStart),
+    file: path.slice(fileStart),
+    query: url.search.slice(1),
+    anchor: url.hash.slice(1)
+  };
+
+  uri[qName] = {};
+  uri.queryParams = {};
+  url.searchParams.forEach(function (value, key) {
+    if (!key) {
+      return;
+    }
+    uri[qName][key] = value;
+    if (!Object.prototype.hasOwnProperty.call(uri.queryParams, key)) {
+      uri.queryParams[key] = [];
+    }
+    uri.queryParams[key].push(value);
+  });
+
+  return uri;
+}
+
+// The inverse of parseUri(), building a URL from its protocol, user,
+// password, host, port, path, query and anchor. User and password are
+// encoded, the path is used as is, and the query can also be given as
+// queryParams, an object of values or arrays of values to encode.
+function formatUri(parts) {
+  var str = (parts.protocol || 'http') + '://';
+  if (parts.user || parts.password) {
+    str += encodeURIComponent(parts.user || '');
+    if (parts.password) {
+      str += ':' + encodeURIComponent(parts.password);
+    }
+    str += '@';
+  }
+  var host = parts.host || '';
+  if (host.indexOf(':') !== -1 && host.charAt(0) !== '[') {
+    host = '[' + host + ']'; // IPv6
+  }
+  str += host;
+  if (parts.port) {
+    str += ':' + parts.port;
+  }
+  var path = parts.path || '';
+  if (path && path.charAt(0) !== '/') {
+    path = '/' + path;
+  }
+  str += path;
+
+  var query = parts.query;
+  if (!query && parts.queryParams) {
+    query = Object.keys(parts.queryParams).map(function (key) {
+      return [].concat(parts.queryParams[key]).map(function (value) {
+        return encodeURIComponent(key) + '=' + encodeURIComponent(value);
+      }).join('&');
+    }).filter(identityFunction).join('&');
+  }
+  if (query) {
+    str += '?' + query;
+  }
+  if (parts.anchor) {
+    str += '#' + parts.anchor;
+  }
+  return str;
+}
+
+// design doc and local doc ids keep their prefix's slash, like CouchDB
+// expects, everything else is encoded, "/" and "+" included
+function encodePathSegment(segment) {
+  var match = /^(_design|_local)\/(.+)$/.exec(segment);
+  if (match) {
+    return match[1] + '/' + encodeURIComponent(match[2]);
+  }
+  return encodeURIComponent(segment);
+}
+
+// joinDbPath('http://host:5984/prefix/', 'my/db', '_design/app', '_view',
+// 'by name') gives 'http://host:5984/prefix/my%2Fdb/_design/app/_view/by%20name'
+function joinDbPath(base, dbName) {
+  var segments = Array.prototype.slice.call(arguments, 1);
+  return base.replace(/\/+$/, '') + '/' +
+    segments.map(encodePathSegment).join('/');
+}
+
+// scheme:// followed by user info, up to its last "@" before the path
+var credentialsRegex = /\b([a-z][a-z0-9+.-]*:\/\/)[^\/?#\s]*@/gi;
+
+// Masks the user and password of any URLs in str as "***:***", or
+// leaves them out altogether with opts.strip.
+function redactUri(str, opts) {
+  if (typeof str !== 'string') {
+    return str;
+  }
+  var strip = opts && opts.strip;
+  return str.replace(credentialsRegex, function (match, scheme) {
+    return scheme + (strip ? '' : '***:***@');
+  });
+}
+
+var logRedactor = redactUri;
+
+// Decides what happens to URL credentials in strings logged through
+// guardedConsole() and the debug events of adapterFun(): true masks them
+// with redactUri() (the default), false logs them as they are, and a
+// function(str) can redact them any other way.
+function setLogRedaction(redact) {
+  if (typeof redact === 'function') {
+    logRedactor = redact;
+  } else {
+    logRedactor = redact ? redactUri : null;
+  }
+}
+
+// Strings anywhere in plain objects, arrays and errors are redacted,
+// other objects are left as they are. Objects are only copied when
+// something in them is redacted, so huge docs don't get copied for
+// nothing, and never modified.
+function redactLogValue(value, parents) {
+  if (typeof value === 'string') {
+    return logRedactor(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  var isError = value instanceof Error;
+  var isArray = Array.isArray(value);
+  if ((!isError && !isArray && !isPlainObject(value)) ||
+      parents.indexOf(value) !== -1) {
+    return value;
+  }
+  parents.push(value);
+  // an error's message and stack aren't enumerable
+  var keys = isError ? Object.getOwnPropertyNames(value) : Object.keys(value);
+  var redacted = {};
+  var changed = false;
+  keys.forEach(function (key) {
+    var newValue = redactLogValue(value[key], parents);
+    if (newValue !== value[key]) {
+      redacted[key] = newValue;
+      changed = true;
+    }
+  });
+  parents.pop();
+  if (!changed) {
+    return value;
+  }
+  var copy = isArray ? [] : Object.create(Object.getPrototypeOf(value));
+  keys.forEach(function (key) {
+    copy[key] = key in redacted ? redacted[key] : value[key];
+  });
+  return copy;
+}
+
+// what to log instead of value, see setLogRedaction()
+function redactForLog(value) {
+  return logRedactor ? redactLogValue(value, []) : value;
+}
+
 // Based on https://github.com/alexdavid/scope-eval v0.0.3
 // (source: https://unpkg.com/scope-eval@0.0.3/scope_eval.js)
 // This is basically just a wrapper around new Function()
@@ -702,10 +2713,178 @@ function scopeEval(source, scope) {
   return Function.apply(null, keys).apply(null, values);
 }
 
+// the helpers CouchDB's query server gives design doc functions, which
+// are evaluated in sloppy mode like CouchDB does
+function designDocScope(emit) {
+  var scope = {
+    log: function () {
+      var args = Array.prototype.slice.call(arguments);
+      guardedConsole.apply(null, ['log'].concat(args));
+    },
+    sum: function (values) {
+      var total = 0;
+      for (var i = 0; i < values.length; i++) {
+        total += values[i];
+      }
+      return total;
+    },
+    isArray: Array.isArray,
+    toJSON: JSON.stringify
+  };
+  if (emit) {
+    scope.emit = emit;
+  }
+  return scope;
+}
+
+// the newline keeps a trailing // comment from swallowing the ");"
+function evalFilter(source) {
+  return scopeEval('return (' + source.replace(/;\s*$/, '') + '\n);',
+    designDocScope());
+}
+
+// a view's map function used as a filter, passing docs it emits for
+function evalView(source) {
+  var emitted = false;
+  var view = scopeEval('return (' + source.replace(/;\s*$/, '') + '\n);',
+    designDocScope(function () {
+      emitted = true;
+    }));
+  return function (doc) {
+    emitted = false;
+    view(doc);
+    if (emitted) {
+      return true;
+    }
+  };
+}
+
+function filterNameError(isView) {
+  return pouchdbErrors.createError(pouchdbErrors.BAD_REQUEST, isView ?
+    '`view` filter parameter not found or invalid.' :
+    '`filter` filter parameter invalid.');
+}
+
+// by the design doc's _id and the function's name, with the _rev of the
+// design doc it was compiled from
+var ddocFilterCache = new pouchdbCollections.Map();
+
+// Compiles the filter named by opts.filter ('ddoc/name', or '_view' with
+// opts.view being 'ddoc/view') from ddoc, the way CouchDB would for a
+// changes feed. Compiled functions are reused until the ddoc's _rev changes.
+function compileDdocFilter(ddoc, opts) {
+  var isView = opts.filter === '_view';
+  var name = parseDesignDocFunctionName(isView ? opts.view : opts.filter);
+  if (!name) {
+    throw filterNameError(isView);
+  }
+  var functions = isView ? ddoc.views : ddoc.filters;
+  var source = functions && functions[name[1]];
+  if (isView && source) {
+    source = source.map;
+  }
+  if (typeof source !== 'string') {
+    var missingKey = functions ? name[1] : isView ? 'views' : 'filters';
+    throw pouchdbErrors.createError(pouchdbErrors.MISSING_DOC,
+      'missing json key: ' + missingKey);
+  }
+
+  var key = ddoc._id + '/' + (isView ? '_view/' : '') + name[1];
+  var cached = ddocFilterCache.get(key);
+  if (cached && cached.rev === ddoc._rev && cached.source === source) {
+    return cached.filter;
+  }
+  var filter;
+  try {
+    filter = isView ? evalView(source) : evalFilter(source);
+  } catch (err) {
+    throw pouchdbErrors.createError(pouchdbErrors.BAD_REQUEST,
+      'Could not compile ' + (isView ? 'view ' : 'filter ') + name.join('/') +
+      ': ' + err.message);
+  }
+  if (typeof filter !== 'function') {
+    throw pouchdbErrors.createError(pouchdbErrors.BAD_REQUEST,
+      (isView ? 'View ' : 'Filter ') + name.join('/') + ' is not a function');
+  }
+  ddocFilterCache.set(key, {rev: ddoc._rev, source: source, filter: filter});
+  return filter;
+}
+
+// Fetches the design doc opts.filter refers to from db and sets opts.filter
+// to the compiled function, so filterChange(opts) can use it. Resolves
+// with opts, unchanged if opts.filter isn't the name of a design doc
+// function, e.g. when it already is a function or a built-in filter like
+// _doc_ids.
+function resolveDdocFilter(db, opts) {
+  var isView = opts.filter === '_view';
+  if (typeof opts.filter !== 'string' ||
+      (!isView && opts.filter.charAt(0) === '_')) {
+    return Promise.resolve(opts);
+  }
+  var name = parseDesignDocFunctionName(isView ? opts.view : opts.filter);
+  if (!name) {
+    return Promise.reject(filterNameError(isView));
+  }
+  return db.get('_design/' + name[0]).then(function (ddoc) {
+    opts.filter = compileDdocFilter(ddoc, opts);
+    return opts;
+  });
+}
+
+var UPSERT_MAX_RETRIES = 10;
+
+// conflicts on a local db clear up quickly, so start small
+var UPSERT_BACK_OFF = {base: 10, cap: 1000};
+
 // this is essentially the "update sugar" function from daleharvey/pouchdb#1388
 // the diffFun tells us what delta to apply to the doc.  it either returns
 // the doc, or false if it doesn't need to do an update after all
-function upsert(db, docId, diffFun) {
+//
+// On a conflict it starts over, up to opts.maxRetries times (10 by
+// default), waiting for opts.backOff in between, which defaults to a short
+// jittered exponential back off. opts.onConflict(err, info) is called
+// before each of those retries, like retry()'s onRetry. When out of retries
+// or opts.backOff is exhausted, it fails with a conflict error that has
+// maxRetriesReached set. opts.putOpts are passed on to db.put() and
+// opts.signal stops retrying when aborted. Resolves with {updated, rev,
+// doc, attempts}, doc being the doc as saved, or as it was when not
+// updated (null if it doesn't exist).
+function upsert(db, docId, diffFun, opts) {
+  opts = opts || {};
+  var maxRetries = typeof opts.maxRetries === 'number' ?
+    opts.maxRetries : UPSERT_MAX_RETRIES;
+  var attempts = 0;
+  return retry(function (attempt) {
+    attempts = attempt;
+    return tryUpsert(db, docId, diffFun, opts.putOpts);
+  }, {
+    maxAttempts: maxRetries + 1,
+    backOff: opts.backOff || createBackOff('full_jitter', UPSERT_BACK_OFF),
+    signal: opts.signal,
+    shouldRetry: function (err) {
+      return !!err && err.status === 409;
+    },
+    onRetry: opts.onConflict
+  }).then(function (res) {
+    res.attempts = attempts;
+    return res;
+  }, function (err) {
+    // conflicts are always retried, so this one is the last that
+    // opts.maxRetries or opts.backOff allowed for
+    if (!err || err.status !== 409) {
+      throw err;
+    }
+    var error = pouchdbErrors.createError(pouchdbErrors.REV_CONFLICT,
+      'upsert() of ' + docId + ' gave up after ' + attempts + ' attempts');
+    error.id = docId;
+    error.maxRetriesReached = true;
+    error.attempts = attempts;
+    error.cause = err;
+    throw error;
+  });
+}
+
+function tryUpsert(db, docId, diffFun, putOpts) {
   return db.get(docId)
     .catch(function (err) {
       /* istanbul ignore next */
@@ -722,71 +2901,387 @@ function upsert(db, docId, diffFun) {
       if (!newDoc) {
         // if the diffFun returns falsy, we short-circuit as
         // an optimization
-        return {updated: false, rev: docRev};
+        return {updated: false, rev: docRev, doc: docRev ? doc : null};
       }
 
       // users aren't allowed to modify these values,
       // so reset them here
       newDoc._id = docId;
       newDoc._rev = docRev;
-      return tryAndPut(db, newDoc, diffFun);
+      return tryAndPut(db, newDoc, putOpts);
     });
 }
 
-function tryAndPut(db, doc, diffFun) {
-  return db.put(doc).then(function (res) {
+// conflicts are left to upsert() to retry
+function tryAndPut(db, doc, putOpts) {
+  var put = putOpts ? db.put(doc, putOpts) : db.put(doc);
+  return put.then(function (res) {
     return {
       updated: true,
-      rev: res.rev
+      rev: res.rev,
+      doc: assign$1({}, doc, {_rev: res.rev})
     };
-  }, function (err) {
-    /* istanbul ignore next */
-    if (err.status !== 409) {
-      throw err;
+  });
+}
+
+/**
+ * Serializes a value to JSON in a canonical form, so that equal values
+ * always give the same string: object keys are sorted, strings (including
+ * keys) are NFC-normalized and non-finite numbers become null, much like
+ * RFC 8785. Numbers are formatted the way ECMAScript specifies, so they
+ * are the same across engines already.
+ */
+function canonicalJSON(value) {
+  if (value && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+  if (value === null) {
+    return 'null';
+  }
+  switch (typeof value) {
+    case 'string':
+      return JSON.stringify(value.normalize('NFC'));
+    case 'number':
+      return isFinite(value) ? JSON.stringify(value) : 'null';
+    case 'boolean':
+      return String(value);
+    case 'object':
+      break;
+    default:
+      return undefined; // skipped, like JSON.stringify() does
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(function (item) {
+      var json = canonicalJSON(item);
+      return json === undefined ? 'null' : json;
+    }).join(',') + ']';
+  }
+  var normalized = {};
+  Object.keys(value).forEach(function (key) {
+    normalized[key.normalize('NFC')] = value[key];
+  });
+  var members = [];
+  Object.keys(normalized).sort().forEach(function (key) {
+    var json = canonicalJSON(normalized[key]);
+    if (json !== undefined) {
+      members.push(JSON.stringify(key) + ':' + json);
     }
-    return upsert(db, doc._id, diffFun);
   });
+  return '{' + members.join(',') + '}';
 }
 
 /**
  * Creates a new revision string that does NOT include the revision height
  * For example '56649f1b0506c6ca9fda0746eb0cacdf'
+ *
+ * deterministic_revs picks the algorithm used for deterministic revs:
+ * true or 1 hashes the doc as JSON.stringify() sees it, while 2 hashes
+ * its canonicalJSON(), so equal docs get equal revs whatever their
+ * key order.
  */
 function rev(doc, deterministic_revs) {
   if (!deterministic_revs) {
     return uuid.v4().replace(/-/g, '').toLowerCase();
   }
+  if (typeof deterministic_revs === 'number' &&
+      deterministic_revs !== 1 && deterministic_revs !== 2) {
+    throw pouchdbErrors.createError(pouchdbErrors.BAD_ARG,
+      'Unknown deterministic_revs version: ' + deterministic_revs);
+  }
 
   var mutateableDoc = pouchdbUtils.assign({}, doc);
   delete mutateableDoc._rev_tree;
+  if (deterministic_revs === 2) {
+    return pouchdbMd5.stringMd5(canonicalJSON(mutateableDoc));
+  }
   return pouchdbMd5.stringMd5(JSON.stringify(mutateableDoc));
 }
 
-var uuid$1 = uuid.v4; // mimic old import, only v4 is ever used elsewhere
+function invalidRevError(rev) {
+  return pouchdbErrors.createError(pouchdbErrors.INVALID_REV,
+    'Invalid rev format: ' + JSON.stringify(rev));
+}
+
+/**
+ * Splits a revision string like '2-56649f1b0506c6ca9fda0746eb0cacdf'
+ * into {pos: 2, hash: '56649f1b0506c6ca9fda0746eb0cacdf'}
+ */
+function parseRev(rev) {
+  if (typeof rev !== 'string' || !revRegex.test(rev)) {
+    throw invalidRevError(rev);
+  }
+  var idx = rev.indexOf('-');
+  return {
+    pos: parseInt(rev.substring(0, idx), 10),
+    hash: rev.substring(idx + 1)
+  };
+}
+
+/**
+ * The inverse of parseRev(), takes either {pos, hash} or pos and hash
+ */
+function formatRev(pos, hash) {
+  if (pos && typeof pos === 'object') {
+    hash = pos.hash;
+    pos = pos.pos;
+  }
+  var rev = pos + '-' + hash;
+  if (typeof pos !== 'number' || pos < 0 || pos % 1 !== 0 ||
+      !revRegex.test(rev)) {
+    throw invalidRevError(rev);
+  }
+  return rev;
+}
+
+/**
+ * Sorts revisions the way CouchDB picks the winning one: the longest
+ * revision history wins, and on a tie the highest hash does. Returns
+ * a positive number if a wins over b, so sorting with it puts the
+ * winner last. Note that CouchDB prefers non-deleted leafs over all
+ * of this, which can't be told from the revs alone.
+ */
+function compareRevs(a, b) {
+  var revA = parseRev(a);
+  var revB = parseRev(b);
+  if (revA.pos !== revB.pos) {
+    return revA.pos - revB.pos;
+  }
+  return revA.hash < revB.hash ? -1 : (revA.hash > revB.hash ? 1 : 0);
+}
+
+/**
+ * Creates the full revision string the doc should get when it is saved,
+ * based on its current _rev, e.g. '3-...' for a doc at '2-...'. Takes
+ * the same deterministic_revs as rev().
+ */
+function nextRev(doc, deterministic_revs) {
+  var pos = '_rev' in doc ? parseRev(doc._rev).pos : 0;
+  return formatRev(pos + 1, rev(doc, deterministic_revs));
+}
+
+// the ids PouchDB itself generates come from here, so they follow
+// setDefaultIdGenerator() (random v4 UUIDs unless that's changed)
+var uuid$1 = function () {
+  return generateId();
+};
+
+function randomBytes(length) {
+  var bytes = new Uint8Array(length);
+  /* istanbul ignore else */
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (var i = 0; i < length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  return bytes;
+}
+
+function toHex(bytes) {
+  var hex = '';
+  for (var i = 0; i < bytes.length; i++) {
+    hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+  }
+  return hex;
+}
+
+function randomHex(length) {
+  return toHex(randomBytes(Math.ceil(length / 2))).slice(0, length);
+}
+
+function padHex(num, length) {
+  var hex = num.toString(16);
+  while (hex.length < length) {
+    hex = '0' + hex;
+  }
+  return hex;
+}
+
+// UUIDv7 as per RFC 9562: a 48 bit millisecond timestamp followed by a
+// 12 bit counter (so ids from the same millisecond still sort in
+// creation order) and 62 random bits
+function createUuid7Generator() {
+  var lastTime = -1;
+  var counter = 0;
+  return function () {
+    var time = Date.now();
+    if (time <= lastTime) {
+      time = lastTime;
+      if (++counter > 0xfff) {
+        // borrow from the next millisecond rather than going backwards
+        time++;
+        counter = 0;
+      }
+    } else {
+      // leave some room to count up in
+      counter = randomBytes(1)[0] << 3;
+    }
+    lastTime = time;
+
+    var bytes = randomBytes(16);
+    for (var i = 5; i >= 0; i--) {
+      bytes[i] = time % 256;
+      time = Math.floor(time / 256);
+    }
+    bytes[6] = 0x70 | (counter >> 8);
+    bytes[7] = counter & 0xff;
+    bytes[8] = 0x80 | (bytes[8] & 0x3f);
+    var hex = toHex(bytes);
+    return hex.slice(0, 8) + '-' + hex.slice(8, 12) + '-' + hex.slice(12, 16) +
+      '-' + hex.slice(16, 20) + '-' + hex.slice(20);
+  };
+}
+
+// Crockford's base32, as used by ULIDs
+var ULID_ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// ULIDs (https://github.com/ulid/spec): 10 characters of millisecond
+// timestamp and 16 of randomness, which is incremented instead of
+// regenerated within the same millisecond to keep ids sorted
+function createUlidGenerator() {
+  var lastTime = -1;
+  var lastRandom;
+  return function () {
+    var time = Date.now();
+    var random;
+    var i;
+    if (time <= lastTime) {
+      time = lastTime;
+      random = lastRandom.slice();
+      for (i = random.length - 1; i >= 0 && random[i] === 31; i--) {
+        random[i] = 0;
+      }
+      /* istanbul ignore if */
+      if (i < 0) {
+        // all 80 bits used up within a millisecond, move on to the next
+        time++;
+      } else {
+        random[i]++;
+      }
+    } else {
+      random = Array.prototype.map.call(randomBytes(16), function (byte) {
+        return byte & 31;
+      });
+    }
+    lastTime = time;
+    lastRandom = random;
+
+    var id = '';
+    for (i = 0; i < 10; i++) {
+      id = ULID_ENCODING[time % 32] + id;
+      time = Math.floor(time / 32);
+    }
+    return id + random.map(function (digit) {
+      return ULID_ENCODING[digit];
+    }).join('');
+  };
+}
+
+// CouchDB's "sequential" algorithm: a random 26 hex character prefix and
+// a 6 hex character suffix that grows by a random amount on every call,
+// with a new prefix whenever the suffix overflows
+function createSequentialGenerator() {
+  var prefix = randomHex(26);
+  var suffix = 1 + Math.floor(Math.random() * 0xffe);
+  return function () {
+    suffix += 1 + Math.floor(Math.random() * 0xffe);
+    if (suffix > 0xffffff) {
+      prefix = randomHex(26);
+      suffix = 1 + Math.floor(Math.random() * 0xffe);
+    }
+    return prefix + padHex(suffix, 6);
+  };
+}
+
+// CouchDB's "utc_random" algorithm: the time since the epoch in
+// microseconds as 14 hex characters, followed by 18 random ones
+function utcRandom() {
+  return padHex(Date.now() * 1000, 14) + randomHex(18);
+}
+
+var idGenerators = {
+  uuid4: uuid.v4,
+  uuid7: createUuid7Generator(),
+  ulid: createUlidGenerator(),
+  sequential: createSequentialGenerator(),
+  utc_random: utcRandom
+};
+var defaultIdGenerator = 'uuid4';
+
+function getIdGenerator(name) {
+  if (!Object.prototype.hasOwnProperty.call(idGenerators, name)) {
+    throw pouchdbErrors.createError(pouchdbErrors.BAD_ARG,
+      'Unknown id generator: ' + name);
+  }
+  return idGenerators[name];
+}
+
+// Makes a custom generator available under the given name, or replaces
+// one of the built-in ones: uuid4, uuid7, ulid, sequential and utc_random
+function registerIdGenerator(name, generator) {
+  if (typeof generator !== 'function') {
+    throw pouchdbErrors.createError(pouchdbErrors.BAD_ARG,
+      'An id generator must be a function');
+  }
+  idGenerators[name] = generator;
+}
+
+// Picks the generator used by generateId() when called without a name
+function setDefaultIdGenerator(name) {
+  getIdGenerator(name);
+  defaultIdGenerator = name;
+}
+
+function generateId(name) {
+  return getIdGenerator(name || defaultIdGenerator)();
+}
 
 exports.adapterFun = adapterFun;
 exports.assign = assign$1;
+exports.broadcastChangesTransport = broadcastChangesTransport;
 exports.bulkGetShim = bulkGet;
+exports.bulkGetShimStream = bulkGetStream;
+exports.canonicalJSON = canonicalJSON;
 exports.changesHandler = Changes;
 exports.clone = clone;
+exports.compareRevs = compareRevs;
+exports.compileDdocFilter = compileDdocFilter;
+exports.createBackOff = createBackOff;
 exports.defaultBackOff = defaultBackOff;
 exports.explainError = explainError;
 exports.filterChange = filterChange;
 exports.flatten = flatten;
+exports.formatRev = formatRev;
+exports.formatUri = formatUri;
 exports.functionName = res$1;
+exports.generateId = generateId;
 exports.guardedConsole = guardedConsole;
 exports.hasLocalStorage = hasLocalStorage;
 exports.invalidIdError = invalidIdError;
+exports.isBackOffExhausted = isBackOffExhausted;
 exports.isRemote = isRemote;
+exports.joinDbPath = joinDbPath;
 exports.listenerCount = listenerCount;
+exports.nextRev = nextRev;
 exports.nextTick = immediate;
 exports.normalizeDdocFunctionName = normalizeDesignDocFunctionName;
 exports.once = once;
 exports.parseDdocFunctionName = parseDesignDocFunctionName;
+exports.parseRev = parseRev;
 exports.parseUri = parseUri;
 exports.pick = pick;
+exports.redactUri = redactUri;
+exports.registerIdGenerator = registerIdGenerator;
+exports.resolveDdocFilter = resolveDdocFilter;
+exports.retry = retry;
 exports.rev = rev;
 exports.scopeEval = scopeEval;
+exports.setCloneOptions = setCloneOptions;
+exports.setDefaultIdGenerator = setDefaultIdGenerator;
+exports.setLogRedaction = setLogRedaction;
+exports.setTracer = setTracer;
 exports.toPromise = toPromise;
 exports.upsert = upsert;
 exports.uuid = uuid$1;
+exports.validateDoc = validateDoc;
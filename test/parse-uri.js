@@ -0,0 +1,101 @@
+'use strict';
+
+// Tricky CouchDB URLs parseUri() has to get right, each with what the old
+// regex based parser (parseUri(str, {compat: true})) gives differently.
+// Those differences are intended, any others are regressions. Run with
+// `node test/parse-uri.js`.
+
+var assert = require('assert');
+var parseUri = require('../lib/index.js').parseUri;
+
+var corpus = [
+  {
+    url: 'http://h/db',
+    expected: {host: 'h', port: '', path: '/db', directory: '/', file: 'db'},
+    // the old parser thinks a last segment without a dot is a directory
+    legacy: {directory: '/db', file: ''}
+  },
+  {
+    url: 'http://h:80/db',
+    expected: {host: 'h', port: '', authority: 'h', file: 'db'},
+    // default ports are left out
+    legacy: {port: '80', authority: 'h:80', directory: '/db', file: ''}
+  },
+  {
+    url: 'http://localhost:5984/db.with.dots',
+    expected: {host: 'localhost', port: '5984', file: 'db.with.dots'},
+    legacy: {}
+  },
+  {
+    url: 'http://h/prefix/db/',
+    expected: {path: '/prefix/db/', directory: '/prefix/db/', file: ''},
+    legacy: {}
+  },
+  {
+    url: 'http://admin:p%40ss@h:5984/db',
+    expected: {user: 'admin', password: 'p@ss', userInfo: 'admin:p%40ss',
+      host: 'h', port: '5984'},
+    legacy: {directory: '/db', file: ''}
+  },
+  {
+    url: 'http://u:p@ss@h/db',
+    // the last "@" ends the user info, which gets encoded
+    expected: {user: 'u', password: 'p@ss', userInfo: 'u:p%40ss',
+      authority: 'u:p%40ss@h', host: 'h'},
+    legacy: {password: 'p', userInfo: 'u:p', authority: 'u:p@ss@h',
+      host: 'ss@h', directory: '/db', file: ''}
+  },
+  {
+    url: 'http://[::1]:5984/db/_design/app',
+    expected: {host: '[::1]', port: '5984', authority: '[::1]:5984',
+      path: '/db/_design/app', directory: '/db/_design/', file: 'app'},
+    // the old parser can't handle IPv6 hosts at all
+    legacy: {source: 'http://[::1]:5984', host: '[',
+      port: '', authority: '[:', path: ':1]:5984', relative: ':1]:5984',
+      directory: '', file: ':1]:5984'}
+  },
+  {
+    url: 'https://h/my%2Fdb?a=1&a=2&b=%20x#frag',
+    expected: {protocol: 'https', path: '/my%2Fdb', file: 'my%2Fdb',
+      query: 'a=1&a=2&b=%20x', anchor: 'frag',
+      queryKey: {a: '2', b: ' x'}, queryParams: {a: ['1', '2'], b: [' x']}},
+    // query values are decoded now
+    legacy: {queryKey: {a: '2', b: '%20x'}, directory: '/my%2Fdb', file: ''}
+  },
+  {
+    // not a URL, so both parsers are the same one
+    url: 'mydb',
+    expected: {host: 'mydb', path: ''},
+    legacy: {}
+  },
+  {
+    url: 'http://h:5984',
+    expected: {host: 'h', port: '5984', path: '/', directory: '/', file: ''},
+    legacy: {path: '', relative: '', directory: ''}
+  }
+];
+
+var failures = 0;
+
+corpus.forEach(function (test) {
+  var uri = parseUri(test.url);
+  var legacyUri = parseUri(test.url, {compat: true});
+  try {
+    Object.keys(test.expected).forEach(function (key) {
+      assert.deepStrictEqual(uri[key], test.expected[key], key);
+    });
+    Object.keys(legacyUri).forEach(function (key) {
+      var expected = key in test.legacy ? test.legacy[key] : uri[key];
+      assert.deepStrictEqual(legacyUri[key], expected, 'legacy ' + key);
+    });
+    console.log('ok ' + test.url);
+  } catch (err) {
+    failures++;
+    console.log('not ok ' + test.url + ': ' + err.message);
+  }
+});
+
+if (failures) {
+  console.log(failures + ' of ' + corpus.length + ' failed');
+  process.exit(1);
+}